@@ -0,0 +1,481 @@
+import fetch, { Blob, FormData, RequestInit, Response } from "node-fetch";
+
+/** Declarative credentials for `api` functions, applied to every request. */
+export type APIAuth =
+    | { type: 'bearer'; token: string }
+    | { type: 'basic'; username: string; password: string }
+    | { type: 'apiKey'; name: string; value: string; in?: 'header' | 'query' }
+    | { type: 'oauth2'; tokenUrl: string; clientId: string; clientSecret: string; scopes?: string[]; audience?: string };
+
+export interface APIRetryPolicy {
+    /** Total attempts per call, including the first. */
+    attempts: number;
+    backoffMs: number;
+    maxBackoffMs: number;
+}
+
+export type APIBodyType = 'json' | 'form' | 'multipart' | 'text';
+export type APIResponseType = 'auto' | 'json' | 'text' | 'html' | 'xml' | 'csv';
+
+/** A file part in a multipart body. Plain strings, numbers and booleans are sent as fields. */
+export interface MultipartFile {
+    data: Buffer | string;
+    filename: string;
+    contentType?: string;
+}
+
+export interface CsvOptions {
+    delimiter?: string;
+    /** Treat the first row as column names and return objects (default true). */
+    header?: boolean;
+}
+
+export interface APIRequestOptions {
+    method: string;
+    headers: Record<string, string>;
+    body?: any;
+    bodyType: APIBodyType;
+    responseType: APIResponseType;
+    auth?: APIAuth;
+    timeout: number;
+    retry: APIRetryPolicy;
+    csv?: CsvOptions;
+    signal?: AbortSignal;
+    /** Called before each retry, e.g. to report progress. */
+    onRetry?: (attempt: number, reason: string, delayMs: number) => void;
+}
+
+export class APIError extends Error {
+    status?: number;
+
+    constructor(message: string, status?: number) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/** Client-credential tokens are refreshed this long before they expire. */
+const TOKEN_EXPIRY_MARGIN_MS = 30 * 1000;
+
+/** Waits for `promise`, rejecting as soon as `signal` fires; the work behind it keeps running for other waiters. */
+function untilAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new APIError('Request cancelled'));
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new APIError('Request cancelled'));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Caches OAuth2 client-credentials tokens per token endpoint, client and scope set. A token request
+ * is stopped after the calling function's timeout; a cancelled caller stops waiting for it.
+ */
+class OAuth2TokenCache {
+    private tokens = new Map<string, Promise<{ token: string; expiresAt: number }>>();
+
+    private keyFor(auth: Extract<APIAuth, { type: 'oauth2' }>): string {
+        return JSON.stringify([auth.tokenUrl, auth.clientId, auth.scopes || [], auth.audience]);
+    }
+
+    async get(auth: Extract<APIAuth, { type: 'oauth2' }>, { timeout, signal }: Pick<APIRequestOptions, 'timeout' | 'signal'>): Promise<string> {
+        const key = this.keyFor(auth);
+        const cached = this.tokens.get(key);
+        if (cached) {
+            const entry = await untilAborted(cached.catch(() => undefined), signal);
+            if (entry && entry.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) return entry.token;
+            if (this.tokens.get(key) === cached) this.tokens.delete(key);
+        }
+
+        // Concurrent calls share one token request; a failed one is not cached
+        let pending = this.tokens.get(key);
+        if (!pending) {
+            pending = this.fetchToken(auth, timeout);
+            this.tokens.set(key, pending);
+            pending.catch(() => this.tokens.delete(key));
+        }
+        return (await untilAborted(pending, signal)).token;
+    }
+
+    invalidate(auth: Extract<APIAuth, { type: 'oauth2' }>) {
+        this.tokens.delete(this.keyFor(auth));
+    }
+
+    private async fetchToken(auth: Extract<APIAuth, { type: 'oauth2' }>, timeout: number) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(auth.tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json',
+                    'Authorization': `Basic ${Buffer.from(`${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`).toString('base64')}`
+                },
+                body: new URLSearchParams({
+                    grant_type: 'client_credentials',
+                    ...(auth.scopes?.length && { scope: auth.scopes.join(' ') }),
+                    ...(auth.audience && { audience: auth.audience })
+                }).toString(),
+                signal: controller.signal as RequestInit['signal']
+            });
+            if (!response.ok) throw new APIError(`OAuth2 token request failed: HTTP ${response.status}`, response.status);
+
+            const { access_token, expires_in } = await response.json() as { access_token?: string; expires_in?: number };
+            if (!access_token) throw new APIError('OAuth2 token response has no access_token');
+            // Tokens without a lifetime are reused for an hour
+            return { token: access_token, expiresAt: Date.now() + (expires_in ?? 3600) * 1000 };
+        } catch (error: any) {
+            if (error.name === 'AbortError') throw new APIError(`OAuth2 token request timed out after ${timeout}ms`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+const oauth2Tokens = new OAuth2TokenCache();
+
+async function applyAuth(url: URL, headers: Record<string, string>, auth: APIAuth, options: Pick<APIRequestOptions, 'timeout' | 'signal'>) {
+    switch (auth.type) {
+        case 'bearer':
+            headers['Authorization'] = `Bearer ${auth.token}`;
+            break;
+        case 'basic':
+            headers['Authorization'] = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+            break;
+        case 'apiKey':
+            if (auth.in === 'query') url.searchParams.set(auth.name, auth.value);
+            else headers[auth.name] = auth.value;
+            break;
+        case 'oauth2':
+            headers['Authorization'] = `Bearer ${await oauth2Tokens.get(auth, options)}`;
+            break;
+        default:
+            throw new APIError(`Unknown auth type: ${(auth as any).type}`);
+    }
+}
+
+function encodeBody(body: any, bodyType: APIBodyType): { body: RequestInit['body']; contentType?: string } {
+    switch (bodyType) {
+        case 'json':
+            return { body: JSON.stringify(body), contentType: 'application/json' };
+        case 'text':
+            return { body: String(body), contentType: 'text/plain; charset=utf-8' };
+        case 'form': {
+            const params = new URLSearchParams();
+            for (const [key, value] of Object.entries(body ?? {})) {
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    if (item !== undefined && item !== null) params.append(key, String(item));
+                }
+            }
+            return { body: params.toString(), contentType: 'application/x-www-form-urlencoded' };
+        }
+        case 'multipart': {
+            // FormData sets its own content type, boundary included
+            const form = new FormData();
+            for (const [key, value] of Object.entries(body ?? {})) {
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    if (item === undefined || item === null) continue;
+                    if (typeof item === 'object' && 'filename' in item) {
+                        const file = item as MultipartFile;
+                        form.append(key, new Blob([typeof file.data === 'string' ? file.data : new Uint8Array(file.data)], { type: file.contentType || 'application/octet-stream' }), file.filename);
+                    } else {
+                        form.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+                    }
+                }
+            }
+            return { body: form };
+        }
+        default:
+            throw new APIError(`Unknown body type: ${bodyType}`);
+    }
+}
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text: string): string {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity: string) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/** Readable text from an HTML page: scripts, styles and markup are dropped, block elements become line breaks. */
+export function htmlToText(html: string): string {
+    return decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|header|footer|h[1-6]|ul|ol|table|tr|blockquote|pre)\b[^>]*>/gi, '\n')
+        .replace(/<\/t[dh]\s*>/gi, '\t')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t\f\v\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Sticky, so they match at `lastIndex` without copying the rest of the document
+const OPEN_TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const CLOSE_TAG = /<\/([^\s>]+)\s*>/y;
+
+/**
+ * Parses XML into plain objects: attributes become `@name` keys, text becomes `#text`
+ * (or the whole value when an element has nothing else), and repeated children become arrays.
+ * Namespaces are kept as part of the name; DTDs are skipped, never expanded.
+ */
+export function parseXml(xml: string): Record<string, any> {
+    let position = 0;
+    const fail = (message: string): never => { throw new APIError(`Invalid XML at offset ${position}: ${message}`); };
+
+    const skipPast = (marker: string, from = position) => {
+        const end = xml.indexOf(marker, from);
+        if (end === -1) fail(`missing ${marker}`);
+        position = end + marker.length;
+    };
+
+    const skipMisc = () => {
+        for (; ;) {
+            while (/\s/.test(xml[position] ?? '')) position++;
+            if (xml.startsWith('<?', position)) skipPast('?>');
+            else if (xml.startsWith('<!--', position)) skipPast('-->');
+            else if (xml.startsWith('<!DOCTYPE', position)) {
+                const subset = xml.indexOf('[', position), close = xml.indexOf('>', position);
+                skipPast(subset !== -1 && subset < close ? ']>' : '>', subset !== -1 && subset < close ? subset : position);
+            } else return;
+        }
+    };
+
+    const addChild = (target: Record<string, any>, key: string, value: any) => {
+        if (!(key in target)) target[key] = value;
+        else if (Array.isArray(target[key])) target[key].push(value);
+        else target[key] = [target[key], value];
+    };
+
+    const parseElement = (): [string, any] => {
+        OPEN_TAG.lastIndex = position;
+        const open = OPEN_TAG.exec(xml);
+        if (!open) return fail('expected an element');
+        position += open[0].length;
+
+        const [, tag, attributes, selfClosing] = open;
+        const element: Record<string, any> = {};
+        for (const [, name, , value] of attributes.matchAll(/([^\s=]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+            element[`@${name}`] = decodeEntities(value);
+        }
+        if (selfClosing) return [tag, Object.keys(element).length ? element : ''];
+
+        let text = '';
+        for (; ;) {
+            const next = xml.indexOf('<', position);
+            if (next === -1) fail(`unclosed <${tag}>`);
+            text += decodeEntities(xml.slice(position, next));
+            position = next;
+
+            if (xml.startsWith('<![CDATA[', position)) {
+                const end = xml.indexOf(']]>', position);
+                if (end === -1) fail('unterminated CDATA section');
+                text += xml.slice(position + 9, end);
+                position = end + 3;
+            } else if (xml.startsWith('<!--', position) || xml.startsWith('<?', position)) {
+                skipMisc();
+            } else if (xml.startsWith('</', position)) {
+                CLOSE_TAG.lastIndex = position;
+                const close = CLOSE_TAG.exec(xml);
+                if (!close || close[1] !== tag) fail(`expected </${tag}>`);
+                position += close![0].length;
+                break;
+            } else {
+                const [childTag, child] = parseElement();
+                addChild(element, childTag, child);
+            }
+        }
+
+        text = text.trim();
+        if (Object.keys(element).length === 0) return [tag, text];
+        if (text) element['#text'] = text;
+        return [tag, element];
+    };
+
+    skipMisc();
+    const [rootTag, root] = parseElement();
+    skipMisc();
+    if (position < xml.length) fail('content after the root element');
+    return { [rootTag]: root };
+}
+
+/** RFC 4180 CSV: quoted fields may contain delimiters, quotes (doubled) and line breaks. */
+export function parseCsv(text: string, options: CsvOptions = {}): any[] {
+    const delimiter = options.delimiter || ',';
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (text.startsWith(delimiter, i)) {
+            row.push(field);
+            field = '';
+            i += delimiter.length - 1;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const records = rows.filter(cells => cells.length > 1 || cells[0] !== '');
+    if (options.header === false) return records;
+    const [columns = [], ...data] = records;
+    return data.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
+
+/** Default Accept header per response type, used when the function's headers don't set one. */
+const ACCEPT: Record<APIResponseType, string> = {
+    auto: 'application/json, text/*;q=0.9, */*;q=0.8',
+    json: 'application/json',
+    text: 'text/plain, */*;q=0.8',
+    html: 'text/html, application/xhtml+xml;q=0.9, */*;q=0.8',
+    xml: 'application/xml, text/xml;q=0.9, */*;q=0.8',
+    csv: 'text/csv, */*;q=0.8'
+};
+
+function detectResponseType(contentType: string): Exclude<APIResponseType, 'auto'> {
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    if (mime === 'application/json' || mime.endsWith('+json')) return 'json';
+    if (mime === 'text/html' || mime === 'application/xhtml+xml') return 'html';
+    if (mime.endsWith('/xml') || mime.endsWith('+xml')) return 'xml';
+    if (mime === 'text/csv') return 'csv';
+    // Untyped bodies are still tried as JSON, which is what most APIs without headers send
+    return mime === '' || mime === 'application/octet-stream' ? 'json' : 'text';
+}
+
+async function parseResponse(response: Response, responseType: APIResponseType, csv?: CsvOptions): Promise<any> {
+    const text = await response.text();
+    const type = responseType === 'auto' ? detectResponseType(response.headers.get('content-type') || '') : responseType;
+
+    switch (type) {
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch {
+                // Auto-detected JSON that isn't falls back to the raw text
+                if (responseType === 'auto') return text;
+                console.warn('Non-JSON response received:', text.substring(0, 200));
+                throw new APIError('Invalid response format');
+            }
+        case 'html': return htmlToText(text);
+        case 'xml': return parseXml(text);
+        case 'csv': return parseCsv(text, csv);
+        default: return text;
+    }
+}
+
+function isRetryable(status: number): boolean {
+    return status === 429 || status >= 500;
+}
+
+/** Retry-After in ms, from either delta-seconds or an HTTP date. */
+function retryAfterMs(header: string | null): number | undefined {
+    if (!header) return undefined;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new APIError('Request cancelled'));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new APIError('Request cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Sends one API function call. Each attempt gets its own `timeout`; 5xx, 429, timeouts and network
+ * errors are retried with exponential backoff (or the server's Retry-After, capped at `maxBackoffMs`).
+ * An OAuth2 token rejected with 401 is fetched again once. Resolves with the parsed body or throws.
+ */
+export async function requestAPI(endpoint: string, options: APIRequestOptions): Promise<any> {
+    const { retry } = options;
+    let refreshedToken = false;
+
+    for (let attempt = 1; ; attempt++) {
+        const url = new URL(endpoint);
+        const headers = { ...options.headers };
+        const hasHeader = (name: string) => Object.keys(headers).some(header => header.toLowerCase() === name);
+        if (!hasHeader('accept')) headers['Accept'] = ACCEPT[options.responseType];
+        if (options.auth) await applyAuth(url, headers, options.auth, options);
+
+        const init: RequestInit = { method: options.method, headers };
+        if (options.body !== undefined && options.method !== 'GET' && options.method !== 'HEAD') {
+            const { body, contentType } = encodeBody(options.body, options.bodyType);
+            init.body = body;
+            if (contentType && !hasHeader('content-type')) headers['Content-Type'] = contentType;
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        options.signal?.addEventListener('abort', onAbort);
+        const timer = setTimeout(() => controller.abort(), options.timeout);
+        init.signal = controller.signal as RequestInit['signal'];
+
+        let failure: string;
+        let delay = Math.min(retry.backoffMs * 2 ** (attempt - 1), retry.maxBackoffMs);
+        try {
+            const response = await fetch(url.toString(), init);
+            if (response.ok) return await parseResponse(response, options.responseType, options.csv);
+
+            if (response.status === 401 && options.auth?.type === 'oauth2' && !refreshedToken) {
+                // The cached token may have been revoked early; this retry does not count as an attempt
+                oauth2Tokens.invalidate(options.auth);
+                refreshedToken = true;
+                attempt--;
+                continue;
+            }
+            failure = `HTTP ${response.status}: ${response.statusText}`;
+            if (!isRetryable(response.status) || attempt >= retry.attempts) throw new APIError(failure, response.status);
+            delay = Math.min(retryAfterMs(response.headers.get('retry-after')) ?? delay, retry.maxBackoffMs);
+        } catch (error: any) {
+            if (error instanceof APIError) throw error;
+            if (options.signal?.aborted) throw new APIError('Request cancelled');
+            failure = error.name === 'AbortError' ? `Request timed out after ${options.timeout}ms` : error.message;
+            if (attempt >= retry.attempts) throw new APIError(failure);
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onAbort);
+        }
+
+        options.onRetry?.(attempt, failure, delay);
+        await sleep(delay, options.signal);
+    }
+}
@@ -0,0 +1,210 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/** A signed-in user, as stored in its session. */
+export interface AuthUser {
+    id: string;
+    name?: string;
+    email?: string;
+    role: string;
+    permissions?: string[];
+    provider: 'local' | 'oidc';
+}
+
+export interface LocalUserConfig {
+    username: string;
+    /** Output of `hashPassword`; plaintext passwords are never accepted. */
+    passwordHash: string;
+    role?: string;
+    name?: string;
+    email?: string;
+    permissions?: string[];
+}
+
+export interface OIDCConfig {
+    /** Issuer URL; `<issuer>/.well-known/openid-configuration` must be reachable. */
+    issuer: string;
+    clientId: string;
+    clientSecret?: string;
+    /** Must point at `/api/v1/auth/oidc/callback` on this server and be registered with the issuer. */
+    redirectUri: string;
+    scopes?: string[];
+    /** ID token claim holding the user's role (a string, or an array whose first known role wins). */
+    roleClaim?: string;
+    defaultRole?: string;
+    /** Where to send the browser after login, with the tokens in the URL fragment. Without it the callback answers with JSON. */
+    postLoginRedirect?: string;
+}
+
+function scrypt(password: string, salt: Buffer, length: number): Promise<Buffer> {
+    return new Promise((resolve, reject) => crypto.scrypt(password, salt, length, (error, key) => error ? reject(error) : resolve(key)));
+}
+
+/** Hashes a password as `scrypt$<salt>$<hash>` for `auth.local.users[].passwordHash`. */
+export async function hashPassword(password: string): Promise<string> {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/** Username/password login against users listed in `auth.local.users`. */
+export class LocalAuthProvider {
+    private users: LocalUserConfig[];
+    private dummyHash: Promise<string>;
+
+    constructor(users: LocalUserConfig[]) {
+        this.users = users;
+        this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    async authenticate(username: string, password: string): Promise<AuthUser | null> {
+        const user = this.users.find(candidate => candidate.username === username);
+        // Unknown usernames are checked against a dummy hash so timing does not reveal which users exist
+        const valid = await verifyPassword(password, user?.passwordHash ?? await this.dummyHash);
+        if (!user || !valid) return null;
+
+        return { id: `local:${user.username}`, name: user.name ?? user.username, email: user.email, role: user.role ?? 'user', permissions: user.permissions, provider: 'local' };
+    }
+}
+
+interface OIDCDiscovery {
+    issuer: string;
+    authorization_endpoint: string;
+    token_endpoint: string;
+    jwks_uri: string;
+}
+
+const base64url = (buffer: Buffer) => buffer.toString('base64url');
+
+/** How long a login started at the issuer may take before its state is discarded. */
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Generic OpenID Connect authorization-code login with PKCE. Endpoints come from the issuer's
+ * discovery document; ID tokens are verified against its JWKS (issuer, audience, expiry, nonce).
+ */
+export class OIDCProvider {
+    private config: OIDCConfig;
+    private knownRoles: string[];
+    private discovery?: Promise<OIDCDiscovery>;
+    private jwks?: { keys: any[] };
+    // state -> login in progress
+    private pending = new Map<string, { nonce: string; verifier: string; expires: number }>();
+
+    constructor(config: OIDCConfig, knownRoles: string[]) {
+        this.config = config;
+        this.knownRoles = knownRoles;
+    }
+
+    private discover(): Promise<OIDCDiscovery> {
+        this.discovery ??= (async () => {
+            const response = await fetch(`${this.config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+            if (!response.ok) throw new Error(`OIDC discovery failed: HTTP ${response.status}`);
+            return await response.json() as OIDCDiscovery;
+        })();
+        // A failed lookup is retried on the next login instead of being cached
+        this.discovery.catch(() => { this.discovery = undefined; });
+        return this.discovery;
+    }
+
+    /** Starts a login: returns the issuer URL to redirect the browser to. */
+    async authorizationUrl(): Promise<string> {
+        const { authorization_endpoint } = await this.discover();
+        const state = base64url(crypto.randomBytes(16));
+        const nonce = base64url(crypto.randomBytes(16));
+        const verifier = base64url(crypto.randomBytes(32));
+
+        const now = Date.now();
+        for (const [key, login] of this.pending) if (login.expires <= now) this.pending.delete(key);
+        this.pending.set(state, { nonce, verifier, expires: now + OIDC_STATE_TTL_MS });
+
+        const url = new URL(authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', this.config.clientId);
+        url.searchParams.set('redirect_uri', this.config.redirectUri);
+        url.searchParams.set('scope', (this.config.scopes || ['openid', 'profile', 'email']).join(' '));
+        url.searchParams.set('state', state);
+        url.searchParams.set('nonce', nonce);
+        url.searchParams.set('code_challenge', base64url(crypto.createHash('sha256').update(verifier).digest()));
+        url.searchParams.set('code_challenge_method', 'S256');
+        return url.toString();
+    }
+
+    /** Completes a login from the callback's query parameters. */
+    async handleCallback(params: { code?: string; state?: string; error?: string; error_description?: string }): Promise<AuthUser> {
+        if (params.error) throw new Error(`OIDC login failed: ${params.error_description || params.error}`);
+        const login = params.state ? this.pending.get(params.state) : undefined;
+        if (params.state) this.pending.delete(params.state);
+        if (!login || login.expires <= Date.now() || !params.code) throw new Error('Unknown or expired login state');
+
+        const discovery = await this.discover();
+        const response = await fetch(discovery.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: params.code,
+                redirect_uri: this.config.redirectUri,
+                client_id: this.config.clientId,
+                code_verifier: login.verifier,
+                ...(this.config.clientSecret && { client_secret: this.config.clientSecret })
+            }).toString()
+        });
+        if (!response.ok) throw new Error(`OIDC token exchange failed: HTTP ${response.status} - ${await response.text()}`);
+
+        const { id_token } = await response.json() as { id_token?: string };
+        if (!id_token) throw new Error('OIDC token response has no id_token');
+        const claims = await this.verifyIdToken(id_token, discovery, login.nonce);
+
+        return {
+            id: `oidc:${claims.sub}`,
+            name: claims.name ?? claims.preferred_username,
+            email: claims.email,
+            role: this.roleFrom(claims),
+            provider: 'oidc'
+        };
+    }
+
+    private roleFrom(claims: Record<string, any>): string {
+        const value = this.config.roleClaim ? claims[this.config.roleClaim] : undefined;
+        const candidates = Array.isArray(value) ? value : [value];
+        return candidates.find(role => typeof role === 'string' && this.knownRoles.includes(role)) ?? this.config.defaultRole ?? 'user';
+    }
+
+    private async verifyIdToken(token: string, discovery: OIDCDiscovery, nonce: string): Promise<Record<string, any>> {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded) throw new Error('Malformed ID token');
+
+        const jwk = await this.signingKey(discovery, decoded.header.kid);
+        const claims = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+            algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+            issuer: discovery.issuer,
+            audience: this.config.clientId
+        }) as Record<string, any>;
+        if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+        return claims;
+    }
+
+    private async signingKey(discovery: OIDCDiscovery, kid?: string): Promise<any> {
+        const find = () => this.jwks?.keys.find(key => key.use !== 'enc' && (!kid || key.kid === kid));
+
+        // Keys are fetched again when an unknown `kid` shows up, which is how issuers roll keys
+        if (!find()) {
+            const response = await fetch(discovery.jwks_uri);
+            if (!response.ok) throw new Error(`Fetching OIDC signing keys failed: HTTP ${response.status}`);
+            this.jwks = await response.json() as { keys: any[] };
+        }
+        const key = find();
+        if (!key) throw new Error(`No OIDC signing key matches kid ${kid}`);
+        return key;
+    }
+}
@@ -21,6 +21,12 @@ const TESTS = [
     expectStatus: 200,
     expectBody: (body) => Array.isArray(body.functions),
   },
+  {
+    description: 'Conversations endpoint should return 200 OK and a list of conversations',
+    path: '/api/v1/conversations',
+    expectStatus: 200,
+    expectBody: (body) => Array.isArray(body.conversations),
+  },
   {
     description: 'Examples endpoint should return 200 OK and a list of examples',
     path: '/examples',
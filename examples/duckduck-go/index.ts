@@ -93,20 +93,24 @@ const CONFIG: Partial<FrameworkConfig> = {
                     searchTerm: query
                 };
             },
+            cache: { ttl: 10 * 60 * 1000, maxEntries: 200, cacheKey: (query: string) => query.toLowerCase() },
+            synthesizeResult: true,
+            resultPrompt: 'DuckDuckGo results for "{{args}}":\n{{result}}\n\nUsing these results, answer: {{question}}',
             description: 'Search DuckDuckGo for information and instant answers'
         },
 
         // Network ping function
         pingHost: {
             type: 'command',
-            command: (host: string): string => {
-                // Basic hostname validation
-                const cleanHost = host.replace(/[^a-zA-Z0-9.-]/g, '');
-                return `ping -c 3 ${cleanHost}`;
+            // Runs without a shell; the host is validated and passed as a single argument
+            executable: 'ping',
+            args: ['-c', '{count}', '{host}'],
+            placeholders: {
+                host: { type: 'hostname', description: 'Host name or IP address' },
+                count: { type: 'integer', minimum: 1, maximum: 10, default: 3 }
             },
-            parseArgs: (raw: string): string => raw.trim(),
-            allowedCommands: ['ping'],
             timeout: 10000,
+            maxOutput: 64 * 1024,
             description: 'Test network connectivity to a host'
         },
 
@@ -157,12 +161,22 @@ const CONFIG: Partial<FrameworkConfig> = {
         endpoint: process.env.LLM_ENDPOINT || "http://localhost:11434/api/generate",
         model: process.env.LLM_MODEL || "qwen3:0.6b",
         timeout: parseInt(process.env.LLM_TIMEOUT || "900000"),
-        streamTimeout: parseInt(process.env.LLM_STREAM_TIMEOUT || "1200000")
+        streamTimeout: parseInt(process.env.LLM_STREAM_TIMEOUT || "1200000"),
+        provider: (process.env.LLM_PROVIDER as 'ollama-generate' | 'ollama-chat' | 'openai' | 'mock') || 'ollama-generate'
+    },
+    storage: {
+        type: (process.env.STORAGE_TYPE as 'memory' | 'json' | 'sqlite') || 'memory',
+        path: process.env.STORAGE_PATH
     }
 };
 
 // Create and start the framework
 async function main() {
+    // Launched by an MCP client: serve the functions over stdio instead of HTTP
+    if (process.argv.includes('--mcp')) {
+        await LLMFramework.serveMCPStdio(CONFIG);
+        return;
+    }
     console.log('🚀 Starting CorticalAI v2.0...');
     try {
         const framework = new LLMFramework(CONFIG);
@@ -1,10 +1,11 @@
 import express, { Express, Request, Response, NextFunction } from "express";
 import bodyParser from "body-parser";
-import fetch, { RequestInit } from "node-fetch";
+import fetch from "node-fetch";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
-import { exec } from "child_process";
-import { promisify } from "util";
+import { spawn } from "child_process";
+import { Worker } from "worker_threads";
+import path from "path";
 import os from "os";
 import { Server as SocketIOServer } from 'socket.io';
 import http from 'http';
@@ -12,30 +13,360 @@ import { ChromaClient } from 'chromadb';
 import swaggerJsdoc from "swagger-jsdoc";
 import client from 'prom-client';
 import swaggerUi from "swagger-ui-express";
-
-const execAsync = promisify(exec);
+import Ajv, { ValidateFunction } from "ajv";
+import { createStorage, StorageAdapter, StorageConfig, MemoryStorage, JsonFileStorage } from "./storage.js";
+import { requestAPI, APIResponseType, APIRetryPolicy } from "./api-client.js";
+import { MCPClient, MCPServerConfig, MCPTool, MCPToolHost, MCPServerSession, serveStdio } from "./mcp.js";
+import { LocalAuthProvider, OIDCProvider, AuthUser, LocalUserConfig, OIDCConfig } from "./auth-providers.js";
+import { createProvider, FailoverProvider, LLMProvider, LLMRequest, ProviderName, MockResponse, RetryPolicy, CircuitBreakerPolicy, ToolCall, ChatMessage, LLMResult } from "./providers.js";
 
 // Type Definitions
+
+/**
+ * Passed to every handler. `progress` and `partial` are streamed to the client as
+ * `function_progress` events; `signal` fires when the chat is cancelled.
+ */
+export interface FunctionContext {
+    progress: (message: string, percent?: number) => void;
+    partial: (data: any) => void;
+    signal?: AbortSignal;
+}
+
+const NO_PROGRESS: FunctionContext = { progress: () => { }, partial: () => { } };
+
 interface FunctionDefinition {
     type: string;
     name: string;
-    handler: (args: any) => Promise<any>;
-    parseArgs: (raw: string) => any;
+    handler: (args: any, context: FunctionContext) => Promise<any>;
+    parseArgs?: (raw: string) => any;
+    parameters?: Record<string, any>;
+    requiresApproval?: boolean;
+    synthesizeResult?: boolean;
+    resultPrompt?: string;
+    cache?: FunctionCache;
+    rateLimit?: RateLimitRule;
+    /** Permissions a caller needs to invoke (and see) this function. */
+    requiredPermissions?: string[];
+    /** Where a function that is not defined in config comes from. */
+    origin?: { source: 'mcp'; server: string; tool: string };
     description: string;
     [key: string]: any;
 }
 
 interface ApiKey {
+    id: string;
     name: string;
     role: string;
     permissions: string[];
+    /** SHA-256 of the secret; the secret itself is never stored. */
+    hash: string;
+    /** Last characters of the secret, to tell keys apart in listings. */
+    hint: string;
     created: Date;
     lastUsed?: Date;
+    rotated?: Date;
+    expiresAt?: Date;
+    /** Free-form key/value tags, e.g. `{ team: "billing" }`. */
+    labels?: Record<string, string>;
 }
 
+type ApiKeyOptions = Pick<ApiKey, 'name' | 'role' | 'permissions' | 'expiresAt' | 'labels'>;
+
 interface Session {
-    user: any;
+    id: string;
+    user: AuthUser;
+    created: Date;
     lastAccess: Date;
+    /** The session ends here unless refreshed; refreshing moves it forward by `auth.sessions.ttlMs`. */
+    expiresAt: Date;
+    /** SHA-256 of the current refresh token's secret. */
+    refreshHash: string;
+    /** SHA-256 of refresh secrets already exchanged, newest last, to recognise a replayed token. */
+    previousRefreshHashes?: string[];
+}
+
+interface ConversationTurn {
+    role: 'user' | 'assistant' | 'function';
+    content: string;
+    name?: string;
+    /** Arguments of the call a function turn answers, so results of repeated calls can be told apart. */
+    args?: any;
+    toolCalls?: ToolCall[];
+    toolCallId?: string;
+    timestamp: Date;
+}
+
+interface Conversation {
+    id: string;
+    owner: string | null;
+    created: Date;
+    updated: Date;
+    turns: ConversationTurn[];
+    summary?: string;
+    summarizedTurns?: number;
+}
+
+interface StreamEvent {
+    type: string;
+    [key: string]: any;
+}
+
+type EventSink = (event: StreamEvent) => void;
+
+/** An in-flight chat; its id can be passed to `POST /api/v1/chat/:requestId/cancel`. */
+interface ChatRequest {
+    id: string;
+    owner: string | null;
+    /** What the caller may do; undefined when authentication is off (everything is allowed). */
+    permissions?: string[];
+    controller: AbortController;
+}
+
+/** True when `granted` covers every permission in `required`; `*` grants everything. */
+function hasPermissions(granted: string[] | undefined, required: string[] = []): boolean {
+    if (!granted || granted.includes('*')) return true;
+    return required.every(permission => granted.includes(permission));
+}
+
+const DEFAULT_RESULT_PROMPT = `The user asked: {{question}}
+
+To answer, the function {{function}} was called with {{args}} and returned:
+{{result}}
+
+Answer the user's question from this result in plain natural language. Do not repeat the raw data as JSON and do not call any functions.`;
+
+interface CommandOptions {
+    timeout: number;
+    maxBuffer: number;
+    signal?: AbortSignal;
+    cwd?: string;
+    env?: NodeJS.ProcessEnv;
+    /** Keep the first `maxBuffer` characters and stop the process instead of failing. */
+    truncate?: boolean;
+}
+
+/**
+ * Runs a command, calling `onLine` for each complete line of stdout/stderr as it arrives. A string
+ * runs through a shell; `{ file, args }` is executed directly, so arguments are never interpreted.
+ * The process is killed on timeout, when output exceeds `maxBuffer`, or when `signal` fires;
+ * any of those rejects (except output overflow with `truncate`).
+ */
+function runCommand(command: string | { file: string; args: string[] }, options: CommandOptions, onLine: (stream: 'stdout' | 'stderr', line: string) => void): Promise<{ stdout: string; stderr: string; code: number | null; truncated: boolean }> {
+    return new Promise((resolve, reject) => {
+        // Own process group, so the whole pipeline can be killed and not just the shell
+        const spawnOptions = { detached: process.platform !== 'win32', cwd: options.cwd, env: options.env };
+        const child = typeof command === 'string' ? spawn(command, { ...spawnOptions, shell: true }) : spawn(command.file, command.args, spawnOptions);
+        const output = { stdout: '', stderr: '' };
+        const pending = { stdout: '', stderr: '' };
+        let failure: Error | null = null;
+        let truncated = false;
+
+        const kill = () => {
+            try {
+                process.kill(process.platform === 'win32' ? child.pid! : -child.pid!, 'SIGTERM');
+            } catch (killError) {
+                child.kill('SIGTERM');
+            }
+        };
+        const stop = (error: Error) => {
+            failure ||= error;
+            kill();
+        };
+        const timer = setTimeout(() => stop(new Error(`Command timed out after ${options.timeout}ms`)), options.timeout);
+        const onAbort = () => stop(new Error('Command cancelled'));
+        options.signal?.addEventListener('abort', onAbort);
+
+        for (const stream of ['stdout', 'stderr'] as const) {
+            child[stream].on('data', (chunk: Buffer) => {
+                if (truncated) return;
+                let text = chunk.toString();
+                const overflow = output.stdout.length + output.stderr.length + text.length - options.maxBuffer;
+                if (overflow > 0 && !options.truncate) return stop(new Error('Command output exceeded maxBuffer'));
+                if (overflow > 0) {
+                    text = text.slice(0, text.length - overflow);
+                    truncated = true;
+                    kill();
+                }
+                output[stream] += text;
+                const lines = (pending[stream] + text).split('\n');
+                pending[stream] = lines.pop() || '';
+                lines.forEach(line => onLine(stream, line));
+            });
+        }
+
+        child.on('error', stop);
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onAbort);
+            for (const stream of ['stdout', 'stderr'] as const) {
+                if (pending[stream]) onLine(stream, pending[stream]);
+            }
+            if (failure) return reject(failure);
+            resolve({ ...output, code, truncated });
+        });
+    });
+}
+
+/**
+ * A typed argument of a structured command. Each placeholder fills (part of) one argv element,
+ * so values can never add arguments; text values may not start with `-` unless `allowOptionLike`.
+ */
+interface CommandPlaceholder {
+    /** `hostname` is a host name or IP address; `path` is a relative path without `..`. */
+    type: 'string' | 'integer' | 'number' | 'hostname' | 'path';
+    description?: string;
+    enum?: (string | number)[];
+    pattern?: string;
+    minimum?: number;
+    maximum?: number;
+    maxLength?: number;
+    default?: string | number;
+    optional?: boolean;
+    allowOptionLike?: boolean;
+}
+
+const PLACEHOLDER_PATTERNS: Partial<Record<CommandPlaceholder['type'], string>> = {
+    hostname: '^[A-Za-z0-9][A-Za-z0-9.:-]*$',
+    path: '^(?!/)(?!(.*/)?\\.\\.(/|$)).+$'
+};
+
+/** Builds the JSON Schema that validates a structured command's arguments. */
+function placeholderSchema(placeholders: Record<string, CommandPlaceholder>): Record<string, any> {
+    const properties: Record<string, any> = {};
+    const required: string[] = [];
+    for (const [key, { type, optional, allowOptionLike, ...rest }] of Object.entries(placeholders)) {
+        const textual = type === 'string' || type === 'hostname' || type === 'path';
+        const rules = [
+            ...(PLACEHOLDER_PATTERNS[type] ? [{ pattern: PLACEHOLDER_PATTERNS[type] }] : []),
+            ...(textual && !allowOptionLike ? [{ pattern: '^(?!-)' }] : [])
+        ];
+        properties[key] = { type: textual ? 'string' : type, ...(type === 'hostname' && { maxLength: 253 }), ...rest, ...(rules.length && { allOf: rules }) };
+        if (!optional && rest.default === undefined) required.push(key);
+    }
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+/** An argv template entry: one element, or a group such as `['-c', '{count}']` kept or dropped as a whole. */
+type ArgvTemplateEntry = string | string[];
+
+/**
+ * Fills `{name}` placeholders in an argv template. An entry with a placeholder that has no value
+ * is left out; for a group, that means all of its elements, so a flag never loses its value.
+ */
+function fillArgv(template: ArgvTemplateEntry[], values: Record<string, any>): string[] {
+    return template.flatMap(entry => {
+        let missing = false;
+        const filled = (Array.isArray(entry) ? entry : [entry]).map(part => part.replace(/\{(\w+)\}/g, (_, key) => {
+            if (values[key] === undefined || values[key] === null) missing = true;
+            return missing ? '' : String(values[key]);
+        }));
+        return missing ? [] : filled;
+    });
+}
+
+/** The subset of this process's environment named in `names`. */
+function allowedEnv(names: string[]): NodeJS.ProcessEnv {
+    return Object.fromEntries(names.filter(name => process.env[name] !== undefined).map(name => [name, process.env[name]]));
+}
+
+/** Characters that let a shell string run more than the allowlisted command. */
+const SHELL_METACHARACTERS = /[;&|`$<>()\\\n]/;
+
+interface SandboxOptions {
+    timeout: number;
+    memoryMb: number;
+    /** `fetch` and `fs.read` (read-only access below `fsRoot`). */
+    capabilities: string[];
+    fsRoot?: string;
+}
+
+type SandboxOutcome = { console: { level: string; text: string }[] } & ({ ok: true; result: any } | { ok: false; error: string; stack?: string });
+
+/** Most console entries kept from one script run. */
+const MAX_CONSOLE_ENTRIES = 500;
+
+/**
+ * Runs a script handler (as source) in a worker thread with a heap limit, stopping it on
+ * timeout or when `context.signal` fires. Never rejects: failures come back as `ok: false`.
+ */
+function runSandboxedScript(source: string, args: any, options: SandboxOptions, context: FunctionContext): Promise<SandboxOutcome> {
+    return new Promise(resolve => {
+        const output: { level: string; text: string }[] = [];
+        const worker = new Worker(new URL('./script-worker.js', import.meta.url), {
+            workerData: { source, args, capabilities: options.capabilities, fsRoot: options.fsRoot && path.resolve(options.fsRoot) },
+            resourceLimits: { maxOldGenerationSizeMb: options.memoryMb, maxYoungGenerationSizeMb: Math.max(4, Math.round(options.memoryMb / 8)) },
+            // Lets the worker answer import() from the handler with an error of the sandbox's own realm
+            execArgv: ['--experimental-vm-modules'],
+            // The worker gets an empty environment and no access to the server's stdio
+            env: {},
+            stdout: true,
+            stderr: true
+        });
+
+        let settled = false;
+        const finish = (outcome: { ok: true; result: any } | { ok: false; error: string; stack?: string }) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            context.signal?.removeEventListener('abort', onAbort);
+            worker.terminate();
+            resolve({ ...outcome, console: output });
+        };
+        const timer = setTimeout(() => finish({ ok: false, error: `Script timed out after ${options.timeout}ms` }), options.timeout);
+        const onAbort = () => finish({ ok: false, error: 'Script cancelled' });
+        context.signal?.addEventListener('abort', onAbort);
+
+        worker.on('message', (message: any) => {
+            switch (message.type) {
+                case 'console': if (output.length < MAX_CONSOLE_ENTRIES) output.push({ level: message.level, text: message.text }); break;
+                case 'progress': context.progress(message.message, message.percent); break;
+                case 'partial': context.partial(message.data); break;
+                case 'result': finish({ ok: true, result: message.result }); break;
+                case 'error': finish({ ok: false, error: message.message, stack: message.stack }); break;
+            }
+        });
+        worker.on('error', (error: any) => finish({
+            ok: false,
+            error: error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? `Script exceeded its ${options.memoryMb} MB memory limit` : error.message
+        }));
+        worker.on('exit', (code) => finish({ ok: false, error: `Script worker exited with code ${code}` }));
+    });
+}
+
+/** The handler's source as an expression; method shorthand (`handler(args) {}`) is turned into a function. */
+function handlerSource(handler: Function): string {
+    const source = handler.toString();
+    return /^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(source) ? source : source.replace(/^(async\s+)?/, '$1function ');
+}
+
+/** Runs `worker` over `items` with at most `limit` running at once. */
+async function runConcurrently<T>(items: T[], limit: number, worker: (item: T) => Promise<void>): Promise<void> {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) await worker(items[next++]);
+    });
+    await Promise.all(lanes);
+}
+
+/** A function call waiting for a decision through `POST /api/v1/approvals/:id`. */
+interface PendingApproval {
+    id: string;
+    owner: string | null;
+    requestId: string;
+    function: string;
+    args: any;
+    decide: (approved: boolean) => void;
+}
+
+/** Ends a chat early. `reason` is the type of the chat's final event (`cancelled` or `timeout`). */
+class ChatAbortedError extends Error {
+    reason: 'cancelled' | 'timeout';
+
+    constructor(reason: 'cancelled' | 'timeout', message: string) {
+        super(message);
+        this.name = 'ChatAbortedError';
+        this.reason = reason;
+    }
 }
 
 interface AppConfig {
@@ -52,6 +383,18 @@ interface AppConfig {
     darkMode: boolean;
 }
 
+/** One entry of `llm.backends`; unset connection fields fall back to `llm` (or `openAILLM` for `openai`). */
+export interface LLMBackendConfig {
+    name?: string;
+    provider: ProviderName | LLMProvider;
+    endpoint?: string;
+    model?: string;
+    apiKey?: string;
+    mockResponses?: MockResponse[];
+    retry?: Partial<RetryPolicy>;
+    circuitBreaker?: Partial<CircuitBreakerPolicy>;
+}
+
 export interface FrameworkConfig {
     server: {
         port: number;
@@ -63,6 +406,10 @@ export interface FrameworkConfig {
         model: string;
         timeout: number;
         streamTimeout: number;
+        provider?: ProviderName | LLMProvider;
+        embeddingModel?: string;
+        mockResponses?: MockResponse[];
+        backends?: LLMBackendConfig[];
     };
     openAILLM?: {
         endpoint?: string;
@@ -75,19 +422,64 @@ export interface FrameworkConfig {
     systemPrompt: string;
     functionPattern: RegExp;
     functions: Record<string, any>;
+    agent: {
+        maxSteps: number;
+        callPrefix: string;
+        /** How many function calls from one model turn run at the same time. */
+        maxConcurrentCalls: number;
+        /** Have the model answer from the result of a function the user called directly. */
+        synthesizeResults: boolean;
+        /** Template for that request; `{{question}}`, `{{function}}`, `{{args}}` and `{{result}}` are filled in. */
+        resultPrompt: string;
+    };
     auth: {
         enabled: boolean;
         mode: string;
-        apiKeys: { enabled: boolean };
+        /** `adminKey`/`uiKey` (or ADMIN_API_KEY/UI_API_KEY) install fixed keys instead of generated ones. */
+        apiKeys: { enabled: boolean; adminKey?: string; uiKey?: string };
+        /** Role name -> permissions granted to every key or user with that role. */
+        roles: Record<string, string[]>;
+        /** Access tokens (JWTs) live `tokenTtlMs`; a session ends `ttlMs` after its login or last refresh. */
+        sessions: { tokenTtlMs: number; ttlMs: number };
+        local?: { users: LocalUserConfig[] };
+        oidc?: OIDCConfig;
     };
     security: {
         allowCommands: boolean;
         allowScripts: boolean;
     };
+    approvals: {
+        timeoutMs: number;
+    };
+    webhooks: {
+        /** Public base URL that async webhooks call back to; defaults to WEBHOOK_CALLBACK_BASE_URL, then the server address. */
+        callbackBaseUrl?: string;
+    };
+    /** Publishes the registered functions as MCP tools at `/api/v1/mcp` (stdio: `LLMFramework.serveMCPStdio`). */
+    mcpServer: {
+        enabled: boolean;
+        /** HTTP sessions unused for this long are dropped. */
+        sessionTtlMs: number;
+    };
+    /** Token-bucket limits; a function's own `rateLimit` overrides `function`. */
+    rateLimits: {
+        apiKey?: RateLimitRule;
+        user?: RateLimitRule;
+        function?: RateLimitRule;
+    };
     examples: {
         enabled: boolean;
         count: number;
     };
+    storage: StorageConfig;
+    context: {
+        defaultBudget: number;
+        modelBudgets: Record<string, number>;
+        reserveTokens: number;
+        keepRecentTurns: number;
+        summaryMaxTokens: number;
+        debug: boolean;
+    };
     n8n?: {
         endpoint: string;
     };
@@ -97,8 +489,187 @@ export interface FrameworkConfig {
     };
 }
 
+export interface RateLimitRule {
+    /** Bucket size: how many requests may arrive in a burst. */
+    capacity: number;
+    /** Tokens added back to the bucket per second. */
+    refillPerSecond: number;
+    /** Requests allowed per UTC day. */
+    daily?: number;
+}
+
+interface RateLimitResult {
+    allowed: boolean;
+    reason?: 'rate' | 'quota';
+    limit: number;
+    remaining: number;
+    /** Seconds until the bucket is full again, or until the quota resets. */
+    reset: number;
+    retryAfter?: number;
+}
+
+/**
+ * Token buckets kept in memory, plus daily usage counters persisted in the `quotas` storage
+ * namespace so quotas survive restarts. Keys are scoped by the caller (`apiKey:…`, `user:…`, `function:…`).
+ */
+class RateLimiter {
+    private storage: StorageAdapter;
+    private buckets = new Map<string, { tokens: number; updated: number }>();
+    private usage = new Map<string, { day: string; count: number }>();
+
+    constructor(storage: StorageAdapter) {
+        this.storage = storage;
+    }
+
+    async consume(key: string, rule: RateLimitRule): Promise<RateLimitResult> {
+        const now = Date.now();
+
+        let usage: { day: string; count: number } | undefined;
+        if (rule.daily !== undefined) {
+            const day = new Date(now).toISOString().slice(0, 10);
+            usage = this.usage.get(key) ?? await this.storage.get<{ day: string; count: number }>('quotas', key);
+            if (!usage || usage.day !== day) usage = { day, count: 0 };
+            this.usage.set(key, usage);
+
+            if (usage.count >= rule.daily) {
+                const untilMidnight = Math.ceil((Date.parse(day) + 86400000 - now) / 1000);
+                return { allowed: false, reason: 'quota', limit: rule.daily, remaining: 0, reset: untilMidnight, retryAfter: untilMidnight };
+            }
+        }
+
+        const bucket = this.buckets.get(key) ?? { tokens: rule.capacity, updated: now };
+        bucket.tokens = Math.min(rule.capacity, bucket.tokens + (now - bucket.updated) / 1000 * rule.refillPerSecond);
+        bucket.updated = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens < 1) {
+            const retryAfter = Math.ceil((1 - bucket.tokens) / rule.refillPerSecond);
+            return { allowed: false, reason: 'rate', limit: rule.capacity, remaining: 0, reset: retryAfter, retryAfter };
+        }
+
+        bucket.tokens -= 1;
+        if (usage) {
+            usage.count++;
+            await this.storage.set('quotas', key, usage);
+        }
+        return { allowed: true, limit: rule.capacity, remaining: Math.floor(bucket.tokens), reset: Math.ceil((rule.capacity - bucket.tokens) / rule.refillPerSecond) };
+    }
+}
+
+/**
+ * Headers that let a webhook receiver check a request came from us: an HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the function's `secret`. The timestamp lets receivers reject replays.
+ */
+function webhookSignatureHeaders(secret: string, body: string): Record<string, string> {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { 'X-CorticalAI-Timestamp': timestamp, 'X-CorticalAI-Signature': `sha256=${signature}` };
+}
+
+/** Sets the `RateLimit-*` headers (and `Retry-After` on rejections) for a limiter decision. */
+function setRateLimitHeaders(res: Response, result: RateLimitResult) {
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', result.reset);
+    if (!result.allowed) res.setHeader('Retry-After', result.retryAfter!);
+}
+
+interface CacheOptions {
+    /** Lifetime of an entry in ms. */
+    ttl: number;
+    maxEntries?: number;
+    cacheKey?: (args: any) => string;
+    storage?: 'memory' | 'file';
+    /** JSON file for `storage: 'file'`; defaults to ./data/cache/<function>.json. */
+    path?: string;
+}
+
+/**
+ * Response cache for one function, kept in a storage adapter (in memory or in a JSON file).
+ * Entries expire after `ttl`; beyond `maxEntries` the least recently used entry is evicted.
+ */
+class FunctionCache {
+    private storage: StorageAdapter;
+    private options: CacheOptions;
+    // Cache key -> expiry time, in least-recently-used-first order
+    private index = new Map<string, number>();
+    private ready: Promise<void>;
+
+    constructor(name: string, options: CacheOptions) {
+        this.options = options;
+        this.storage = options.storage === 'file' ? new JsonFileStorage(options.path || `./data/cache/${name}.json`) : new MemoryStorage();
+        this.ready = this.load().catch(error => {
+            // An unreadable cache file is not worth failing calls over: start empty and overwrite it on the next write
+            console.warn(`⚠️  Could not load the ${name} cache, starting empty: ${error.message}`);
+            this.index.clear();
+        });
+    }
+
+    private async load() {
+        await this.storage.init();
+        const entries = await this.storage.entries<{ expires: number; value: any }>('cache');
+        entries.sort((a, b) => a[1].expires - b[1].expires).forEach(([key, entry]) => this.index.set(key, entry.expires));
+    }
+
+    keyFor(args: any): string {
+        return this.options.cacheKey ? String(this.options.cacheKey(args)) : JSON.stringify(args);
+    }
+
+    async get(key: string): Promise<any | undefined> {
+        await this.ready;
+        const expires = this.index.get(key);
+        if (expires === undefined) return undefined;
+        if (expires <= Date.now()) {
+            this.index.delete(key);
+            await this.storage.delete('cache', key);
+            return undefined;
+        }
+        this.index.delete(key);
+        this.index.set(key, expires);
+        return (await this.storage.get<{ value: any }>('cache', key))?.value;
+    }
+
+    async set(key: string, value: any) {
+        await this.ready;
+        const expires = Date.now() + this.options.ttl;
+        this.index.delete(key);
+        this.index.set(key, expires);
+        await this.storage.set('cache', key, { expires, value });
+
+        const maxEntries = this.options.maxEntries ?? 100;
+        for (const oldest of this.index.keys()) {
+            if (this.index.size <= maxEntries) break;
+            this.index.delete(oldest);
+            await this.storage.delete('cache', oldest);
+        }
+    }
+
+    /** Removes every entry and returns how many there were. */
+    async purge(): Promise<number> {
+        await this.ready;
+        const count = this.index.size;
+        for (const key of Array.from(this.index.keys())) await this.storage.delete('cache', key);
+        this.index.clear();
+        return count;
+    }
+
+    get size(): number {
+        return this.index.size;
+    }
+
+    async close() {
+        await this.ready;
+        await this.storage.close();
+    }
+}
+
 class FunctionRegistry {
     private functions = new Map<string, FunctionDefinition>();
+    private mcpServers = new Map<string, { config: any; client: MCPClient }>();
+    // One-time callback token -> hands the result a workflow POSTs back to the waiting call
+    private webhookCallbacks = new Map<string, (result: any) => void>();
+    private validators = new Map<string, ValidateFunction>();
+    private ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
     private config: FrameworkConfig;
 
     constructor(config: FrameworkConfig) {
@@ -133,96 +704,242 @@ class FunctionRegistry {
     }
 
     register(type: string, name: string, definition: Partial<FunctionDefinition>) {
+        if (definition.parameters) {
+            try {
+                this.validators.set(name, this.ajv.compile(definition.parameters));
+            } catch (error: any) {
+                throw new Error(`Invalid parameters schema for ${name}: ${error.message}`);
+            }
+        }
         this.functions.set(name, { type, name, ...definition } as FunctionDefinition);
         console.log(`Registered ${type} function: ${name}`);
     }
 
+    /**
+     * Turns the raw argument text of a call into handler arguments. Functions with a `parameters`
+     * schema accept JSON; otherwise (or when the text is not JSON) the legacy `parseArgs` is used,
+     * and a schema with a single (required) property receives the raw text as that property.
+     */
+    parseArgs(name: string, raw: string): any {
+        const func = this.functions.get(name);
+        if (!func) throw new Error(`Function ${name} not found`);
+
+        const text = raw.trim();
+        if (func.parameters && /^[\[{"]/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                // Not JSON after all; fall through to the legacy forms
+            }
+        }
+        if (func.parseArgs) return func.parseArgs(raw);
+
+        const properties = Object.keys(func.parameters?.properties || {});
+        const required: string[] = func.parameters?.required || [];
+        if (func.parameters?.type === 'object' && properties.length === 1) return { [properties[0]]: text };
+        if (func.parameters?.type === 'object' && required.length === 1) return { [required[0]]: text };
+        return text;
+    }
+
+    /** Checks (and coerces) arguments against the function's schema; returns null when they are valid. */
+    validateArgs(name: string, args: any): { path: string; message: string }[] | null {
+        const validate = this.validators.get(name);
+        if (!validate || validate(args)) return null;
+        return (validate.errors || []).map(error => ({ path: error.instancePath || '/', message: error.message || 'is invalid' }));
+    }
+
+    /** Options every function type accepts. */
+    private sharedOptions(config: any): Partial<FunctionDefinition> {
+        return {
+            parameters: config.parameters,
+            requiresApproval: config.requiresApproval === true,
+            synthesizeResult: config.synthesizeResult,
+            resultPrompt: config.resultPrompt,
+            rateLimit: config.rateLimit,
+            requiredPermissions: config.requiredPermissions
+        };
+    }
+
     registerAPI(name: string, config: any) {
+        const cache = config.cache ? new FunctionCache(name, config.cache) : undefined;
+        const responseType: APIResponseType = config.responseType || 'auto';
+        const retry: APIRetryPolicy = { attempts: 1, backoffMs: 500, maxBackoffMs: 10000, ...config.retry };
+        const callAPI = async (args: any, context: FunctionContext) => {
+            try {
+                const url = typeof config.endpoint === 'function' ? config.endpoint(args) : config.endpoint;
+                const data = await requestAPI(url, {
+                    method: config.method || 'GET',
+                    headers: { 'User-Agent': 'CorticalAI/2.0', ...config.headers },
+                    body: typeof config.body === 'function' ? config.body(args) : config.body,
+                    bodyType: config.bodyType || 'json',
+                    responseType,
+                    auth: config.auth,
+                    timeout: config.timeout || 30000,
+                    retry,
+                    csv: config.csv,
+                    signal: context.signal,
+                    onRetry: (attempt, reason, delay) => context.progress(`${reason}; retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${retry.attempts})`)
+                });
+
+                return config.transform ? config.transform(data, args) : data;
+            } catch (error: any) {
+                return { success: false, error: error.message, ...(error.status && { status: error.status }) };
+            }
+        };
+
+        // Object results get a `cached` flag; anything else is wrapped so the flag has somewhere to go
+        const flagged = (result: any, cached: boolean) => result && typeof result === 'object' && !Array.isArray(result) ? { ...result, cached } : { result, cached };
+
         this.register('api', name, {
-            handler: async (args: any) => {
-                try {
-                    const url = typeof config.endpoint === 'function' ? config.endpoint(args) : config.endpoint;
-                    const options: RequestInit = {
-                        method: config.method || 'GET',
-                        headers: {
-                            'User-Agent': 'CorticalAI/2.0',
-                            'Accept': 'application/json',
-                            ...config.headers
-                        },
-                        ...(config.body && { body: JSON.stringify(config.body(args)) })
-                    };
-
-                    const response = await fetch(url, options);
-                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-
-                    const text = await response.text();
-                    let data;
-                    try {
-                        data = JSON.parse(text);
-                    } catch (parseError) {
-                        console.warn('Non-JSON response received:', text.substring(0, 200));
-                        return { success: false, error: 'Invalid response format' };
-                    }
+            handler: async (args: any, context: FunctionContext) => {
+                if (!cache) return callAPI(args, context);
 
-                    return config.transform ? config.transform(data, args) : data;
+                const key = cache.keyFor(args);
+                try {
+                    const hit = await cache.get(key);
+                    if (hit !== undefined) return flagged(hit, true);
                 } catch (error: any) {
-                    return { success: false, error: error.message };
+                    console.error(`Cache read failed for ${name}:`, error.message);
                 }
+
+                const result = await callAPI(args, context);
+                if (result?.success !== false) await cache.set(key, result).catch(error => console.error(`Cache write failed for ${name}:`, error.message));
+                return flagged(result, false);
             },
+            cache,
             parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
             description: config.description
         });
     }
 
+    /**
+     * Structured commands (`executable` + `args` template) run without a shell. The string form
+     * (`command`) goes through a shell and is only accepted with `unsafeShell: true`.
+     */
     registerCommand(name: string, config: any) {
+        if (config.executable) return this.registerStructuredCommand(name, config);
+        if (!config.unsafeShell) {
+            throw new Error(`Command function ${name} builds a shell string; declare executable + args instead, or set unsafeShell: true to keep it`);
+        }
+
         this.register('command', name, {
-            handler: async (args: any) => {
+            handler: async (args: any, context: FunctionContext) => {
                 try {
                     if (!this.config.security?.allowCommands) throw new Error('Command execution is disabled for security');
 
                     const command = typeof config.command === 'function' ? config.command(args) : config.command;
-                    if (config.allowedCommands && !config.allowedCommands.some((cmd: string) => command.startsWith(cmd))) {
+                    const allowed = (cmd: string) => command === cmd || command.startsWith(`${cmd} `);
+                    if (config.allowedCommands && (SHELL_METACHARACTERS.test(command) || !config.allowedCommands.some(allowed))) {
                         throw new Error(`Command not allowed: ${command}`);
                     }
 
-                    const { stdout, stderr } = await execAsync(command, {
+                    context.progress(`Running ${command}`);
+                    const { stdout, stderr, code } = await runCommand(command, {
                         timeout: config.timeout || 10000,
-                        maxBuffer: config.maxBuffer || 1024 * 1024
-                    });
+                        maxBuffer: config.maxBuffer || 1024 * 1024,
+                        signal: context.signal
+                    }, (stream, line) => context.partial({ stream, line }));
 
-                    return { success: true, stdout: stdout.toString(), stderr: stderr.toString(), command };
+                    if (code !== 0) return { success: false, error: `Command failed with exit code ${code}`, exitCode: code, stdout, stderr, command };
+                    return { success: true, stdout, stderr, command };
                 } catch (error: any) {
                     return { success: false, error: error.message, command: typeof config.command === 'function' ? 'dynamic' : config.command };
                 }
             },
             parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
+            description: config.description
+        });
+    }
+
+    private registerStructuredCommand(name: string, config: any) {
+        const template: ArgvTemplateEntry[] = config.args || [];
+        const placeholders: Record<string, CommandPlaceholder> = config.placeholders || {};
+        for (const part of template.flat()) {
+            for (const [, key] of part.matchAll(/\{(\w+)\}/g)) {
+                if (!placeholders[key]) throw new Error(`Command function ${name} uses undeclared placeholder {${key}}`);
+            }
+        }
+        const successExitCodes: number[] = config.successExitCodes || [0];
+
+        this.register('command', name, {
+            handler: async (args: any, context: FunctionContext) => {
+                try {
+                    if (!this.config.security?.allowCommands) throw new Error('Command execution is disabled for security');
+
+                    const argv = fillArgv(template, args && typeof args === 'object' ? args : {});
+                    const command = [config.executable, ...argv].join(' ');
+                    context.progress(`Running ${command}`);
+                    const { stdout, stderr, code, truncated } = await runCommand({ file: config.executable, args: argv }, {
+                        timeout: config.timeout || 10000,
+                        maxBuffer: config.maxOutput || 1024 * 1024,
+                        truncate: true,
+                        cwd: config.cwd,
+                        env: allowedEnv(config.env || ['PATH']),
+                        signal: context.signal
+                    }, (stream, line) => context.partial({ stream, line }));
+
+                    const result = { exitCode: code, stdout, stderr, command, ...(truncated && { truncated }) };
+                    // Output past `maxOutput` stops the process, so its exit code says nothing
+                    if (!truncated && (code === null || !successExitCodes.includes(code))) return { success: false, error: `Command failed with exit code ${code}`, ...result };
+                    return { success: true, ...result };
+                } catch (error: any) {
+                    return { success: false, error: error.message, command: config.executable };
+                }
+            },
+            parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
+            ...(!config.parameters && Object.keys(placeholders).length && { parameters: placeholderSchema(placeholders) }),
             description: config.description
         });
     }
 
+    /**
+     * Script handlers run in a sandboxed worker thread (see `runSandboxedScript`), so they cannot
+     * use variables from the surrounding module. `unsafeInProcess: true` runs them in the server
+     * process instead, with full access.
+     */
     registerScript(name: string, config: any) {
+        const source = config.unsafeInProcess ? '' : handlerSource(config.handler);
+        const sandbox: SandboxOptions = {
+            timeout: config.timeout || 10000,
+            memoryMb: config.memoryMb || 64,
+            capabilities: config.capabilities || [],
+            fsRoot: config.fsRoot
+        };
+        if (sandbox.capabilities.includes('fs.read') && !sandbox.fsRoot) throw new Error(`Script function ${name} needs fsRoot for the fs.read capability`);
+
         this.register('script', name, {
-            handler: async (args: any) => {
+            handler: async (args: any, context: FunctionContext) => {
                 try {
                     if (!this.config.security?.allowScripts) throw new Error('Script execution is disabled for security');
 
-                    const result = await config.handler.call({ args, console, setTimeout, Buffer }, args);
-                    return { success: true, result };
+                    if (config.unsafeInProcess) {
+                        const result = await config.handler.call({ args, console, setTimeout, Buffer, progress: context.progress, partial: context.partial }, args, context);
+                        return { success: true, result };
+                    }
+
+                    const outcome = await runSandboxedScript(source, args, sandbox, context);
+                    if (!outcome.ok) return { success: false, error: outcome.error, stack: outcome.stack, console: outcome.console };
+                    return { success: true, result: outcome.result, console: outcome.console };
                 } catch (error: any) {
                     return { success: false, error: error.message, stack: error.stack };
                 }
             },
             parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
             description: config.description
         });
     }
 
     registerN8N(name: string, config: any) {
         this.register('n8n', name, {
-            handler: async (args: any) => {
+            handler: async (args: any, context: FunctionContext) => {
                 try {
                     const n8nEndpoint = config.endpoint || this.config.n8n?.endpoint;
                     if (!n8nEndpoint) throw new Error('N8N endpoint not configured');
+                    context.progress(`Waiting for n8n workflow ${config.webhookId || name}`);
 
                     const webhookUrl = `${n8nEndpoint}/webhook/${config.webhookId || name}`;
                     const response = await fetch(webhookUrl, {
@@ -243,10 +960,105 @@ class FunctionRegistry {
                 }
             },
             parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
             description: config.description || `Execute N8N workflow: ${name}`
         });
     }
 
+    /**
+     * Calls a workflow over HTTP. With `async`, the request carries a one-time callback URL and the
+     * call waits (up to `callbackTimeout`) for the workflow to POST its result there.
+     */
+    registerWebhook(name: string, config: any) {
+        if (!config.url) throw new Error(`Webhook function ${name} needs a url`);
+        const callbackTimeout = config.callbackTimeout || 5 * 60 * 1000;
+        const finish = (result: any, args: any) => config.transform ? config.transform(result, args) : { success: result?.success !== false, webhook: name, result };
+
+        this.register('webhook', name, {
+            handler: async (args: any, context: FunctionContext) => {
+                const callback = config.async ? this.awaitWebhookCallback(callbackTimeout, context.signal) : undefined;
+                try {
+                    const url = typeof config.url === 'function' ? config.url(args) : config.url;
+                    const payload = config.body
+                        ? config.body(args, { callbackUrl: callback?.url })
+                        : { source: 'cortical-ai', function: name, timestamp: new Date().toISOString(), data: args, ...(callback && { callbackUrl: callback.url }) };
+                    const body = JSON.stringify(payload);
+
+                    context.progress(`Calling webhook ${name}`);
+                    const response = await requestAPI(url, {
+                        method: config.method || 'POST',
+                        headers: {
+                            'User-Agent': 'CorticalAI/2.0',
+                            'Content-Type': 'application/json',
+                            ...config.headers,
+                            ...(callback && { 'X-CorticalAI-Callback-Url': callback.url }),
+                            ...(config.secret && webhookSignatureHeaders(config.secret, body))
+                        },
+                        body,
+                        bodyType: 'text',
+                        responseType: 'auto',
+                        auth: config.auth,
+                        timeout: config.timeout || 30000,
+                        retry: { attempts: 1, backoffMs: 500, maxBackoffMs: 10000, ...config.retry },
+                        signal: context.signal
+                    });
+                    if (!callback) return finish(response, args);
+
+                    context.progress(`Waiting for ${name} to send its result`);
+                    return finish(await callback.result, args);
+                } catch (error: any) {
+                    return { success: false, error: error.message, webhook: name };
+                } finally {
+                    callback?.cancel();
+                }
+            },
+            parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
+            description: config.description || `Call webhook: ${name}`
+        });
+    }
+
+    /** Opens a one-time callback URL; `result` settles with the first body POSTed to it, or rejects on timeout or cancellation. */
+    private awaitWebhookCallback(timeout: number, signal?: AbortSignal): { url: string; result: Promise<any>; cancel: () => void } {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const base = this.config.webhooks.callbackBaseUrl || process.env.WEBHOOK_CALLBACK_BASE_URL || `http://${this.config.server.ip}:${this.config.server.port}`;
+        let timer: NodeJS.Timeout | undefined;
+        let onAbort = () => { };
+
+        const cancel = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            this.webhookCallbacks.delete(token);
+        };
+        const result = new Promise<any>((resolve, reject) => {
+            timer = setTimeout(() => {
+                cancel();
+                reject(new Error(`No webhook callback within ${timeout}ms`));
+            }, timeout);
+            onAbort = () => {
+                cancel();
+                reject(new Error('Request cancelled'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.webhookCallbacks.set(token, body => {
+                cancel();
+                resolve(body);
+            });
+        });
+        // The call may fail before it starts waiting; an unobserved rejection must not crash the process
+        result.catch(() => { });
+
+        return { url: `${base.replace(/\/$/, '')}/api/v1/webhooks/callback/${token}`, result, cancel };
+    }
+
+    /** Delivers a workflow's result to the call waiting on `token`; false when there is none (unknown, used or expired). */
+    deliverWebhookCallback(token: string, result: any): boolean {
+        const deliver = this.webhookCallbacks.get(token);
+        if (!deliver) return false;
+        deliver(result);
+        return true;
+    }
+
     registerRAG(name: string, config: any) {
         this.register('rag', name, {
             handler: async (args: any) => {
@@ -271,6 +1083,7 @@ class FunctionRegistry {
                 }
             },
             parseArgs: config.parseArgs,
+            ...this.sharedOptions(config),
             description: config.description || `Retrieve information from ChromaDB: ${name}`
         });
     }
@@ -279,90 +1092,434 @@ class FunctionRegistry {
         return this.functions.get(name);
     }
 
-    getAll(): { name: string; type: string; description: string }[] {
-        return Array.from(this.functions.values()).map(({ name, type, description }) => ({ name, type, description }));
+    /**
+     * Describes every function in the `tools` format shared by Ollama `/api/chat` and OpenAI.
+     * Functions without a schema take their legacy raw argument text as a single `input` string.
+     */
+    getToolDefinitions(permissions?: string[]): { type: 'function'; function: { name: string; description: string; parameters: Record<string, any> } }[] {
+        return this.allowed(permissions).map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: {
+                name,
+                description,
+                parameters: parameters?.type === 'object' ? parameters : {
+                    type: 'object',
+                    properties: { input: { type: 'string', description: 'Function arguments as plain text' } },
+                    required: ['input']
+                }
+            }
+        }));
     }
-}
 
-class AuthenticationManager {
-    private config: FrameworkConfig;
-    private jwtSecret: string;
-    public apiKeys = new Map<string, ApiKey>();
-    private sessions = new Map<string, Session>();
+    /** Converts native tool-call arguments (an object or a JSON string) into handler arguments. */
+    argsFromToolCall(name: string, rawArgs: any): any {
+        const func = this.functions.get(name);
+        if (!func) throw new Error(`Function ${name} not found`);
 
-    constructor(config: FrameworkConfig) {
-        this.config = config;
-        this.jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-        this.generateInitialApiKeys();
+        let args = rawArgs;
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch (error) {
+                return this.parseArgs(name, args);
+            }
+        }
+        if (func.parameters?.type === 'object') return args;
+        return this.parseArgs(name, typeof args?.input === 'string' ? args.input : JSON.stringify(args));
     }
 
-    private generateInitialApiKeys() {
-        if (!this.config.auth.apiKeys?.enabled) return;
-
-        const adminKey = this.generateApiKey('admin');
-        this.apiKeys.set(adminKey, { name: 'Admin Key', role: 'admin', permissions: ['*'], created: new Date() });
+    /** Lists the functions a caller with `permissions` may invoke; all of them when `permissions` is undefined. */
+    getAll(permissions?: string[]): { name: string; type: string; description: string; parameters?: Record<string, any>; requiresApproval?: boolean; requiredPermissions?: string[]; origin?: FunctionDefinition['origin'] }[] {
+        return this.allowed(permissions).map(({ name, type, description, parameters, requiresApproval, requiredPermissions, origin }) => ({ name, type, description, parameters, requiresApproval, requiredPermissions, origin }));
+    }
 
-        const uiKey = this.generateApiKey('ui');
-        this.apiKeys.set(uiKey, { name: 'UI Key', role: 'ui', permissions: ['chat', 'examples', 'functions'], created: new Date() });
+    /** Unknown names pass, so the caller reports them as not found rather than forbidden. */
+    canCall(name: string, permissions?: string[]): boolean {
+        const func = this.functions.get(name);
+        return !func || hasPermissions(permissions, func.requiredPermissions);
+    }
 
-        console.log('🔑 API Keys generated - Admin:', adminKey, 'UI:', uiKey);
+    private allowed(permissions?: string[]): FunctionDefinition[] {
+        return Array.from(this.functions.values()).filter(func => hasPermissions(permissions, func.requiredPermissions));
     }
 
-    private generateApiKey(prefix = 'cai'): string {
-        return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+    /** Queues an MCP server; its tools are registered by `connectMCPServers` once the framework starts. */
+    addMCPServer(name: string, config: MCPServerConfig & Record<string, any>) {
+        this.mcpServers.set(name, { config, client: new MCPClient(name, config) });
     }
 
-    authenticateRequest(req: Request): { user: any; session?: any; apiKey?: ApiKey } | null {
-        const authHeader = req.headers.authorization;
-        if (authHeader?.startsWith('Bearer ')) {
-            const token = authHeader.substring(7);
+    /**
+     * Connects every queued MCP server and registers its tools. A server that cannot be reached
+     * is reported and left out; the others still load.
+     */
+    async connectMCPServers() {
+        for (const [server, { config, client }] of this.mcpServers) {
             try {
-                const decoded = jwt.verify(token, this.jwtSecret) as { sessionId: string };
-                const session = this.sessions.get(decoded.sessionId);
-                if (session) {
-                    session.lastAccess = new Date();
-                    return { user: session.user, session: decoded };
-                }
+                const tools = (await client.listTools()).filter(tool => !config.tools || config.tools.includes(tool.name));
+                for (const tool of tools) this.registerMCPTool(server, client, tool, config);
+                console.log(`🔌 MCP server ${server}: ${tools.length} tools`);
             } catch (error: any) {
-                console.warn('JWT verification failed:', error.message);
+                console.error(`❌ MCP server ${server} failed to start: ${error.message}`);
+                await client.close();
             }
         }
+    }
 
-        const apiKey = (req.headers['x-api-key'] || req.query.apiKey) as string;
-        if (apiKey && this.apiKeys.has(apiKey)) {
-            const keyData = this.apiKeys.get(apiKey)!;
-            keyData.lastUsed = new Date();
-            return { user: { id: 'api', role: keyData.role, name: keyData.name }, apiKey: keyData };
+    private registerMCPTool(server: string, client: MCPClient, tool: MCPTool, config: any) {
+        const name = `${config.prefix || ''}${tool.name}`;
+        if (this.functions.has(name)) {
+            console.warn(`⚠️  Skipping MCP tool ${tool.name} from ${server}: a function named ${name} already exists`);
+            return;
         }
+        // The dialect declaration is dropped so Ajv compiles schemas written for any draft
+        const { $schema, ...parameters } = tool.inputSchema || { type: 'object' };
 
-        return null;
+        const handler = async (args: any, context: FunctionContext) => {
+            try {
+                const result = await client.callTool(tool.name, args, {
+                    signal: context.signal,
+                    onProgress: ({ progress, total, message }) => context.progress(message || `${progress}${total ? `/${total}` : ''}`, total ? Math.round(progress / total * 100) : undefined)
+                });
+                const text = (result.content || []).map((item: any) => {
+                    if (item.type === 'text') return item.text;
+                    if (item.type === 'resource') return item.resource?.text ?? `[resource ${item.resource?.uri}]`;
+                    return `[${item.type}${item.mimeType ? ` ${item.mimeType}` : ''}]`;
+                }).join('\n');
+                return {
+                    success: !result.isError,
+                    ...(result.isError ? { error: text || 'Tool call failed' } : { content: text }),
+                    ...(result.structuredContent && { data: result.structuredContent })
+                };
+            } catch (error: any) {
+                return { success: false, error: error.message };
+            }
+        };
+
+        try {
+            this.register('mcp', name, {
+                handler,
+                ...this.sharedOptions(config),
+                parameters,
+                origin: { source: 'mcp', server, tool: tool.name },
+                description: tool.description || `${tool.name} (MCP server ${server})`
+            });
+        } catch (error: any) {
+            console.warn(`⚠️  Skipping MCP tool ${tool.name} from ${server}: ${error.message}`);
+        }
     }
 
-    requireAuth(permissions: string[] = []) {
-        return (req: Request, res: Response, next: NextFunction) => {
-            if (this.config.auth.mode === 'disabled') return next();
+    async closeMCPServers() {
+        await Promise.all(Array.from(this.mcpServers.values(), ({ client }) => client.close()));
+    }
 
-            const auth = this.authenticateRequest(req);
-            if (!auth) return res.status(401).json({ error: 'Authentication required' });
+    getCache(name: string): FunctionCache | undefined {
+        return this.functions.get(name)?.cache;
+    }
 
-            (req as any).auth = auth;
-            next();
-        };
+    async closeCaches() {
+        for (const func of this.functions.values()) await func.cache?.close();
     }
 }
 
-class ContextEnhancer {
-    private systemInfo: any;
-
-    constructor() {
-        this.systemInfo = {
-            platform: os.platform(),
-            arch: os.arch(),
-            nodeVersion: process.version,
-            hostname: os.hostname(),
-            memory: { total: Math.round(os.totalmem() / 1e9), free: Math.round(os.freemem() / 1e9) }
-        };
-    }
+/** Used refresh secrets remembered per session for reuse detection. */
+const MAX_PREVIOUS_REFRESH_HASHES = 20;
+
+class AuthenticationManager {
+    private config: FrameworkConfig;
+    private storage: StorageAdapter;
+    private rateLimiter: RateLimiter;
+    private jwtSecret = '';
+    // Key id -> key record
+    private apiKeys = new Map<string, ApiKey>();
+    public localProvider?: LocalAuthProvider;
+    public oidcProvider?: OIDCProvider;
+
+    constructor(config: FrameworkConfig, storage: StorageAdapter, rateLimiter: RateLimiter) {
+        this.config = config;
+        this.storage = storage;
+        this.rateLimiter = rateLimiter;
+
+        const { local, oidc, roles } = config.auth;
+        if (local?.users?.length) this.localProvider = new LocalAuthProvider(local.users);
+        const oidcConfig = oidc || (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_REDIRECT_URI ? {
+            issuer: process.env.OIDC_ISSUER,
+            clientId: process.env.OIDC_CLIENT_ID,
+            clientSecret: process.env.OIDC_CLIENT_SECRET,
+            redirectUri: process.env.OIDC_REDIRECT_URI
+        } : undefined);
+        if (oidcConfig) this.oidcProvider = new OIDCProvider(oidcConfig, Object.keys(roles));
+    }
+
+    async init() {
+        // A generated secret is persisted so sessions survive restarts
+        this.jwtSecret = process.env.JWT_SECRET || await this.storage.get<string>('auth', 'jwtSecret') || '';
+        if (!this.jwtSecret) {
+            this.jwtSecret = crypto.randomBytes(64).toString('hex');
+            await this.storage.set('auth', 'jwtSecret', this.jwtSecret);
+        }
+
+        for (const [key, keyData] of await this.storage.entries<ApiKey>('apiKeys')) {
+            if (keyData.hash) {
+                this.apiKeys.set(key, keyData);
+                continue;
+            }
+            // Keys saved before hashing was introduced are stored under their secret
+            await this.storage.delete('apiKeys', key);
+            await this.saveApiKey({ ...keyData, id: this.generateKeyId(), ...this.secretFields(key) });
+        }
+        await this.initialApiKeys();
+    }
+
+    private async initialApiKeys() {
+        if (!this.config.auth.apiKeys?.enabled) return;
+
+        // Configured keys are installed under fixed ids on every start, so changing one replaces the old secret
+        const adminKey = this.config.auth.apiKeys.adminKey || process.env.ADMIN_API_KEY;
+        const uiKey = this.config.auth.apiKeys.uiKey || process.env.UI_API_KEY;
+        if (adminKey) await this.installApiKey('admin', adminKey, { name: 'Admin Key', role: 'admin', permissions: ['*'] });
+        if (uiKey) await this.installApiKey('ui', uiKey, { name: 'UI Key', role: 'ui', permissions: ['chat', 'approve', 'examples', 'functions', 'config'] });
+
+        if (this.apiKeys.size > 0) {
+            console.log(`🔑 Loaded ${this.apiKeys.size} API keys`);
+            return;
+        }
+
+        const admin = await this.createApiKey({ name: 'Admin Key', role: 'admin', permissions: ['*'] }, 'admin');
+        const ui = await this.createApiKey({ name: 'UI Key', role: 'ui', permissions: ['chat', 'approve', 'examples', 'functions', 'config'] }, 'ui');
+        console.log('🔑 API Keys generated (shown only once) - Admin:', admin.key, 'UI:', ui.key);
+    }
+
+    private async installApiKey(id: string, secret: string, options: ApiKeyOptions) {
+        const existing = this.apiKeys.get(id);
+        if (existing?.hash === this.secretFields(secret).hash) return;
+        await this.saveApiKey({ ...options, id, ...this.secretFields(secret), created: existing?.created ?? new Date() });
+    }
+
+    private generateApiKey(prefix = 'cai'): string {
+        return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    private generateKeyId(): string {
+        return `key_${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    private secretFields(secret: string): Pick<ApiKey, 'hash' | 'hint'> {
+        return { hash: crypto.createHash('sha256').update(secret).digest('hex'), hint: secret.slice(-4) };
+    }
+
+    private async saveApiKey(keyData: ApiKey) {
+        this.apiKeys.set(keyData.id, keyData);
+        await this.storage.set('apiKeys', keyData.id, keyData);
+    }
+
+    /** Key metadata without the hash, for listings. */
+    private describeApiKey({ hash, ...keyData }: ApiKey) {
+        return keyData;
+    }
+
+    private findApiKey(secret: string): ApiKey | undefined {
+        const { hash } = this.secretFields(secret);
+        const keyData = Array.from(this.apiKeys.values()).find(candidate => candidate.hash === hash);
+        if (!keyData || (keyData.expiresAt && new Date(keyData.expiresAt) <= new Date())) return undefined;
+        return keyData;
+    }
+
+    listApiKeys() {
+        return Array.from(this.apiKeys.values()).map(keyData => this.describeApiKey(keyData));
+    }
+
+    /** Creates a key and returns its secret, which cannot be recovered later. */
+    async createApiKey(options: ApiKeyOptions, prefix = 'cai') {
+        const key = this.generateApiKey(prefix);
+        const keyData: ApiKey = { ...options, id: this.generateKeyId(), ...this.secretFields(key), created: new Date() };
+        await this.saveApiKey(keyData);
+        return { key, apiKey: this.describeApiKey(keyData) };
+    }
+
+    /** Replaces a key's secret, keeping its id, role and permissions; the old secret stops working. */
+    async rotateApiKey(id: string) {
+        const keyData = this.apiKeys.get(id);
+        if (!keyData) return undefined;
+
+        const key = this.generateApiKey();
+        const rotated: ApiKey = { ...keyData, ...this.secretFields(key), rotated: new Date() };
+        await this.saveApiKey(rotated);
+        return { key, apiKey: this.describeApiKey(rotated) };
+    }
+
+    async revokeApiKey(id: string): Promise<boolean> {
+        if (!this.apiKeys.delete(id)) return false;
+        await this.storage.delete('apiKeys', id);
+        return true;
+    }
+
+    /** Checks a create-key request body; returns an error message or the options. */
+    parseApiKeyOptions(body: any): string | ApiKeyOptions {
+        const { name, role, permissions = [], expiresAt, labels } = body || {};
+        if (typeof name !== 'string' || !name.trim()) return "'name' is required";
+        if (typeof role !== 'string' || !this.config.auth.roles[role]) return `Unknown role: ${role}. Known roles: ${Object.keys(this.config.auth.roles).join(', ')}`;
+        if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) return "'permissions' must be an array of strings";
+        if (labels !== undefined && (!labels || typeof labels !== 'object' || Array.isArray(labels) || Object.values(labels).some(value => typeof value !== 'string'))) {
+            return "'labels' must be an object of strings";
+        }
+
+        const expires = expiresAt === undefined ? undefined : new Date(expiresAt);
+        if (expires && (isNaN(expires.getTime()) || expires <= new Date())) return "'expiresAt' must be a future date";
+        return { name: name.trim(), role, permissions, ...(expires && { expiresAt: expires }), ...(labels && { labels }) };
+    }
+
+    /** Everything the caller's role grants, plus permissions given to the key or user directly. */
+    permissionsFor(auth: { user: any; apiKey?: ApiKey }): string[] {
+        const fromRole = this.config.auth.roles[auth.apiKey?.role ?? auth.user?.role] || [];
+        const direct = auth.apiKey?.permissions ?? auth.user?.permissions ?? [];
+        return Array.from(new Set([...fromRole, ...direct]));
+    }
+
+    /** Starts a session for a user who just logged in and returns its tokens. */
+    async createSession(user: AuthUser) {
+        const now = new Date();
+        const refreshSecret = crypto.randomBytes(32).toString('base64url');
+        const session: Session = {
+            id: crypto.randomUUID(),
+            user,
+            created: now,
+            lastAccess: now,
+            expiresAt: new Date(now.getTime() + this.config.auth.sessions.ttlMs),
+            refreshHash: crypto.createHash('sha256').update(refreshSecret).digest('hex')
+        };
+        await this.storage.set('sessions', session.id, session);
+        console.log(`🔓 ${user.name || user.id} logged in (${user.provider})`);
+        return this.issueTokens(session, refreshSecret);
+    }
+
+    private issueTokens(session: Session, refreshSecret: string) {
+        const { tokenTtlMs } = this.config.auth.sessions;
+        const token = jwt.sign({ sessionId: session.id }, this.jwtSecret, { expiresIn: Math.floor(tokenTtlMs / 1000) });
+        return {
+            token,
+            expiresAt: new Date(Date.now() + tokenTtlMs),
+            refreshToken: `${session.id}.${refreshSecret}`,
+            sessionExpiresAt: session.expiresAt,
+            user: session.user
+        };
+    }
+
+    /**
+     * Exchanges a refresh token for a new access token and refresh token. Each refresh token works
+     * once; presenting a used one again revokes the session, since it has probably leaked. A secret
+     * that was never issued for the session is just refused.
+     */
+    async refreshSession(refreshToken: string) {
+        const [sessionId, secret] = String(refreshToken).split('.');
+        const session = sessionId && secret ? await this.storage.get<Session>('sessions', sessionId) : undefined;
+        if (!session) return null;
+
+        const presented = crypto.createHash('sha256').update(secret).digest('hex');
+        const matches = (hash: string) => crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(hash));
+        if (!matches(session.refreshHash)) {
+            if ((session.previousRefreshHashes || []).some(matches)) {
+                console.warn(`⚠️  Reused refresh token for session ${session.id}, revoking it`);
+                await this.revokeSession(session.id);
+            }
+            return null;
+        }
+        if (new Date(session.expiresAt) <= new Date()) {
+            await this.revokeSession(session.id);
+            return null;
+        }
+
+        const refreshSecret = crypto.randomBytes(32).toString('base64url');
+        session.previousRefreshHashes = [...(session.previousRefreshHashes || []), session.refreshHash].slice(-MAX_PREVIOUS_REFRESH_HASHES);
+        session.refreshHash = crypto.createHash('sha256').update(refreshSecret).digest('hex');
+        session.lastAccess = new Date();
+        session.expiresAt = new Date(Date.now() + this.config.auth.sessions.ttlMs);
+        await this.storage.set('sessions', session.id, session);
+        return this.issueTokens(session, refreshSecret);
+    }
+
+    /** Ends a session; its access and refresh tokens stop working immediately. */
+    async revokeSession(id: string): Promise<boolean> {
+        return this.storage.delete('sessions', id);
+    }
+
+    async authenticateRequest(req: Request): Promise<{ user: any; session?: Session; apiKey?: ApiKey; keyId?: string } | null> {
+        const authHeader = req.headers.authorization;
+        if (authHeader?.startsWith('Bearer ')) {
+            const token = authHeader.substring(7);
+            try {
+                const decoded = jwt.verify(token, this.jwtSecret) as { sessionId: string };
+                const session = await this.storage.get<Session>('sessions', decoded.sessionId);
+                if (session && new Date(session.expiresAt) > new Date()) {
+                    session.lastAccess = new Date();
+                    await this.storage.set('sessions', session.id, session);
+                    return { user: session.user, session };
+                }
+            } catch (error: any) {
+                console.warn('JWT verification failed:', error.message);
+            }
+        }
+
+        const apiKey = (req.headers['x-api-key'] || req.query?.apiKey) as string;
+        const keyData = apiKey ? this.findApiKey(apiKey) : undefined;
+        if (keyData) {
+            keyData.lastUsed = new Date();
+            await this.storage.set('apiKeys', keyData.id, keyData);
+            return { user: { id: `apiKey:${keyData.id}`, role: keyData.role, name: keyData.name }, apiKey: keyData, keyId: keyData.id };
+        }
+
+        return null;
+    }
+
+    requireAuth(permissions: string[] = []) {
+        return async (req: Request, res: Response, next: NextFunction) => {
+            if (this.config.auth.mode === 'disabled') return next();
+
+            try {
+                const auth = await this.authenticateRequest(req);
+                if (!auth) return res.status(401).json({ error: 'Authentication required' });
+
+                const granted = this.permissionsFor(auth);
+                const missing = permissions.filter(permission => !hasPermissions(granted, [permission]));
+                if (missing.length) return res.status(403).json({ error: 'Insufficient permissions', missing });
+
+                (req as any).auth = { ...auth, permissions: granted };
+                if (await this.enforceRateLimit(auth, res)) next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Applies `rateLimits.apiKey` to API key callers and `rateLimits.user` to signed-in users.
+     * Answers with 429 and returns false once the bucket or daily quota is exhausted.
+     */
+    private async enforceRateLimit(auth: { user: any; keyId?: string }, res: Response): Promise<boolean> {
+        const { apiKey, user } = this.config.rateLimits;
+        const [key, rule] = auth.keyId ? [`apiKey:${auth.keyId}`, apiKey] : [`user:${auth.user?.id}`, user];
+        if (!rule) return true;
+
+        const result = await this.rateLimiter.consume(key, rule);
+        setRateLimitHeaders(res, result);
+        if (result.allowed) return true;
+
+        res.status(429).json({ error: result.reason === 'quota' ? 'Daily quota exceeded' : 'Rate limit exceeded', retryAfter: result.retryAfter });
+        return false;
+    }
+}
+
+class ContextEnhancer {
+    private systemInfo: any;
+
+    constructor() {
+        this.systemInfo = {
+            platform: os.platform(),
+            arch: os.arch(),
+            nodeVersion: process.version,
+            hostname: os.hostname(),
+            memory: { total: Math.round(os.totalmem() / 1e9), free: Math.round(os.freemem() / 1e9) }
+        };
+    }
 
     enhanceRequestContext(req: Request | any): any {
         const userAgent = (req.headers && req.headers['user-agent']) || '';
@@ -393,7 +1550,7 @@ class ContextEnhancer {
         return { name: browser, os };
     }
 
-    generateSystemPrompt(basePrompt: string, context: any, user: any = null, ragContext: string | null = null): string {
+    generateSystemPrompt(basePrompt: string, context: any, user: any = null, ragContext: string | null = null, nativeTools: boolean = false): string {
         const currentTime = new Date().toLocaleString();
         const contextualInfo = `
 SYSTEM CONTEXT (Current Session):
@@ -406,7 +1563,9 @@ RETRIEVED KNOWLEDGE:
 ${ragContext}` : ''}
 
 FUNCTION CALLING RULES:
-- Use EXACTLY this format: FUNCTION:functionName:arguments
+${nativeTools ? `- Call functions with the provided tools
+- If you cannot use tools, use EXACTLY this format: FUNCTION:functionName:arguments` : '- Use EXACTLY this format: FUNCTION:functionName:arguments'}
+- To call several functions at once, put each call on its own line
 - For conversation: respond normally without function calls
 - Never mix conversation and function calls in the same response
 
@@ -417,6 +1576,217 @@ RESPONSE GUIDELINES:
     }
 }
 
+class ConversationManager {
+    private storage: StorageAdapter;
+
+    constructor(storage: StorageAdapter) {
+        this.storage = storage;
+    }
+
+    async create(owner: string | null = null): Promise<Conversation> {
+        const now = new Date();
+        const conversation: Conversation = { id: crypto.randomUUID(), owner, created: now, updated: now, turns: [] };
+        await this.storage.set('conversations', conversation.id, conversation);
+        return conversation;
+    }
+
+    /** Returns the conversation only if it belongs to `owner` (unowned conversations are shared). */
+    async get(id: string, owner: string | null = null): Promise<Conversation | undefined> {
+        const conversation = await this.storage.get<Conversation>('conversations', id);
+        if (!conversation || (conversation.owner && conversation.owner !== owner)) return undefined;
+        return conversation;
+    }
+
+    async list(owner: string | null = null): Promise<{ id: string; title: string; turns: number; created: Date; updated: Date }[]> {
+        const conversations = await this.storage.entries<Conversation>('conversations');
+        return conversations.map(([, conversation]) => conversation)
+            .filter(conversation => !conversation.owner || conversation.owner === owner)
+            .sort((a, b) => b.updated.getTime() - a.updated.getTime())
+            .map(({ id, turns, created, updated }) => ({ id, title: this.getTitle(turns), turns: turns.length, created, updated }));
+    }
+
+    async delete(id: string, owner: string | null = null): Promise<boolean> {
+        if (!await this.get(id, owner)) return false;
+        return this.storage.delete('conversations', id);
+    }
+
+    async append(conversation: Conversation, turn: Omit<ConversationTurn, 'timestamp'>) {
+        conversation.turns.push({ ...turn, timestamp: new Date() });
+        conversation.updated = new Date();
+        await this.storage.set('conversations', conversation.id, conversation);
+    }
+
+    async save(conversation: Conversation) {
+        await this.storage.set('conversations', conversation.id, conversation);
+    }
+
+    /**
+     * Renders the history in the framework's prompt format, ending with an open assistant turn.
+     * A summary of earlier, collapsed turns goes between the system prompt and the history.
+     */
+    renderPrompt(systemPrompt: string, turns: ConversationTurn[], summary?: string): string {
+        const lines = turns.map(turn => this.renderTurn(turn));
+        const summaryBlock = summary ? `\n\nSUMMARY OF EARLIER CONVERSATION:\n${summary}` : '';
+        return `${systemPrompt}${summaryBlock}\n\n${[...lines, 'Assistant responds: '].join('\n\n')}`;
+    }
+
+    renderTurn(turn: ConversationTurn): string {
+        if (turn.role === 'user') return `User says: "${turn.content}"`;
+        if (turn.role === 'function') return this.renderResult(turn);
+        const calls = (turn.toolCalls || []).map(call => `FUNCTION:${call.name}:${JSON.stringify(call.arguments)}`);
+        return `Assistant responds: ${[turn.content, ...calls].filter(Boolean).join('\n')}`;
+    }
+
+    /**
+     * Renders the history as chat messages for Ollama `/api/chat` or OpenAI. Native tool calls and
+     * their results become `tool_calls`/`tool` messages; results of text-pattern calls are sent as
+     * system notes because those backends reject `tool` messages without a matching call.
+     */
+    renderMessages(systemPrompt: string, turns: ConversationTurn[], summary: string | undefined, format: 'ollama' | 'openai'): ChatMessage[] {
+        const system = summary ? `${systemPrompt}\n\nSUMMARY OF EARLIER CONVERSATION:\n${summary}` : systemPrompt;
+        const messages: ChatMessage[] = [{ role: 'system', content: system }];
+
+        for (const turn of turns) {
+            if (turn.role === 'user') {
+                messages.push({ role: 'user', content: turn.content });
+            } else if (turn.role === 'assistant') {
+                const message: ChatMessage = { role: 'assistant', content: turn.content };
+                if (turn.toolCalls?.length) {
+                    message.tool_calls = turn.toolCalls.map(call => format === 'openai'
+                        ? { id: call.id, type: 'function', function: { name: call.name, arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments) } }
+                        : { function: { name: call.name, arguments: call.arguments } });
+                }
+                messages.push(message);
+            } else if (turn.toolCallId) {
+                messages.push(format === 'openai'
+                    ? { role: 'tool', tool_call_id: turn.toolCallId, content: turn.content }
+                    : { role: 'tool', tool_name: turn.name, content: turn.content });
+            } else {
+                messages.push({ role: 'system', content: this.renderResult(turn) });
+            }
+        }
+        return messages;
+    }
+
+    /** A function result as text, naming the call it answers. */
+    private renderResult(turn: ConversationTurn): string {
+        const call = turn.args !== undefined ? ` called with ${JSON.stringify(turn.args)}` : turn.toolCallId ? ` (call ${turn.toolCallId})` : '';
+        return `Function ${turn.name}${call} returned: ${turn.content}`;
+    }
+
+    private getTitle(turns: ConversationTurn[]): string {
+        const first = turns.find(turn => turn.role === 'user')?.content || 'New conversation';
+        return first.length > 60 ? `${first.substring(0, 57)}...` : first;
+    }
+}
+
+/**
+ * Keeps prompts inside the model's context window. Token counts are estimated (about four
+ * characters per token); when a conversation outgrows its budget the oldest turns are folded
+ * into an LLM-written running summary, and oversized function results are truncated as a last resort.
+ */
+class ContextManager {
+    private config: FrameworkConfig;
+    private conversationManager: ConversationManager;
+    private summarize: (prompt: string) => Promise<string>;
+
+    constructor(config: FrameworkConfig, conversationManager: ConversationManager, summarize: (prompt: string) => Promise<string>) {
+        this.config = config;
+        this.conversationManager = conversationManager;
+        this.summarize = summarize;
+    }
+
+    estimateTokens(text: string = ''): number {
+        return Math.ceil(text.length / 4);
+    }
+
+    getBudget(model: string): number {
+        return this.config.context.modelBudgets[model] || this.config.context.defaultBudget;
+    }
+
+    /** Picks the summary and (possibly truncated) turns that fit the model's budget. */
+    async fitContext(systemPrompt: string, conversation: Conversation, model: string): Promise<{ turns: ConversationTurn[]; summary?: string; report: any }> {
+        const { reserveTokens, keepRecentTurns, summaryMaxTokens } = this.config.context;
+        const budget = this.getBudget(model) - reserveTokens;
+        const systemTokens = this.estimateTokens(systemPrompt);
+        const report: any = { model, budget, systemTokens, summarizedTurns: 0, truncatedResults: 0 };
+
+        let summary = conversation.summary;
+        let turns = conversation.turns.slice(conversation.summarizedTurns || 0);
+        const turnTokens = (list: ConversationTurn[]) => list.map(turn => this.estimateTokens(this.conversationManager.renderTurn(turn)));
+        const total = () => systemTokens + this.estimateTokens(summary) + turnTokens(turns).reduce((a, b) => a + b, 0);
+
+        if (total() > budget && turns.length > 1) {
+            // Keep the newest turns that fit next to a summary, and never fewer than keepRecentTurns
+            const available = budget - systemTokens - summaryMaxTokens;
+            const tokens = turnTokens(turns);
+            let kept = 0, used = 0;
+            while (kept < turns.length) {
+                const next = tokens[turns.length - 1 - kept];
+                if (kept >= keepRecentTurns && used + next > available) break;
+                used += next;
+                kept++;
+            }
+
+            const collapsed = turns.slice(0, turns.length - kept);
+            if (collapsed.length > 0) {
+                try {
+                    summary = await this.summarize(this.buildSummaryPrompt(summary, collapsed));
+                    conversation.summary = summary;
+                    conversation.summarizedTurns = (conversation.summarizedTurns || 0) + collapsed.length;
+                    await this.conversationManager.save(conversation);
+                } catch (error: any) {
+                    // Without a summary the collapsed turns are only left out of this prompt
+                    console.error('Conversation summarization failed:', error.message);
+                    report.summaryError = error.message;
+                }
+                turns = turns.slice(collapsed.length);
+                report.summarizedTurns = collapsed.length;
+            }
+        }
+
+        let overflow = total() - budget;
+        if (overflow > 0) {
+            turns = turns.map(turn => ({ ...turn }));
+            const functionTurns = turns.filter(turn => turn.role === 'function').sort((a, b) => b.content.length - a.content.length);
+            for (const turn of functionTurns) {
+                if (overflow <= 0) break;
+                const keepChars = Math.max(200, turn.content.length - overflow * 4);
+                if (keepChars >= turn.content.length) continue;
+                overflow -= this.estimateTokens(turn.content.substring(keepChars));
+                turn.content = `${turn.content.substring(0, keepChars)}... [truncated]`;
+                report.truncatedResults++;
+            }
+        }
+
+        const historyTokens = turnTokens(turns);
+        Object.assign(report, {
+            summaryTokens: this.estimateTokens(summary),
+            historyTokens: historyTokens.reduce((a, b) => a + b, 0),
+            functionResultTokens: historyTokens.filter((_, i) => turns[i].role === 'function').reduce((a, b) => a + b, 0),
+            turnsInPrompt: turns.length,
+            totalTokens: total()
+        });
+
+        return { turns, summary, report };
+    }
+
+    private buildSummaryPrompt(previousSummary: string | undefined, turns: ConversationTurn[]): string {
+        const maxWords = Math.floor(this.config.context.summaryMaxTokens * 0.75);
+        return `Summarize the conversation below for an AI assistant that will continue it. Keep names, facts, numbers, important function results, decisions and open questions. Use at most ${maxWords} words.
+${previousSummary ? `\nExisting summary:\n${previousSummary}\n` : ''}
+Conversation:
+${turns.map(turn => this.conversationManager.renderTurn(turn)).join('\n\n')}
+
+Summary:`;
+    }
+}
+
+/** Metrics live in prom-client's global registry, so every framework in a process shares one set. */
+function sharedMetric<T>(name: string, create: () => T): T {
+    return (client.register.getSingleMetric(name) as T | undefined) ?? create();
+}
+
 class MetricsCollector {
     public chatMessagesCounter: client.Counter;
     public llmResponseTimeHistogram: client.Histogram;
@@ -424,31 +1794,31 @@ class MetricsCollector {
     public functionCallDurationHistogram: client.Histogram;
 
     constructor() {
-        client.collectDefaultMetrics();
+        if (!client.register.getSingleMetric('process_cpu_user_seconds_total')) client.collectDefaultMetrics();
 
-        this.chatMessagesCounter = new client.Counter({
+        this.chatMessagesCounter = sharedMetric('corticalai_chat_messages_total', () => new client.Counter({
             name: 'corticalai_chat_messages_total',
             help: 'Total number of chat messages processed',
-        });
+        }));
 
-        this.llmResponseTimeHistogram = new client.Histogram({
+        this.llmResponseTimeHistogram = sharedMetric('corticalai_llm_response_time_seconds', () => new client.Histogram({
             name: 'corticalai_llm_response_time_seconds',
             help: 'Histogram of LLM response times',
             buckets: [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50], // 0-50 seconds in 5s increments
-        });
+        }));
 
-        this.functionCallCounter = new client.Counter({
+        this.functionCallCounter = sharedMetric('corticalai_function_calls_total', () => new client.Counter({
             name: 'corticalai_function_calls_total',
             help: 'Total number of function calls',
             labelNames: ['function_name', 'function_type', 'status'],
-        });
+        }));
 
-        this.functionCallDurationHistogram = new client.Histogram({
+        this.functionCallDurationHistogram = sharedMetric('corticalai_function_call_duration_seconds', () => new client.Histogram({
             name: 'corticalai_function_call_duration_seconds',
             help: 'Histogram of function call durations',
             labelNames: ['function_name', 'function_type'],
             buckets: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10], // 0-10 seconds in 1s increments
-        });
+        }));
     }
 
     public getMetrics() {
@@ -458,14 +1828,24 @@ class MetricsCollector {
 
 export class LLMFramework {
     public app: Express;
+    public storage: StorageAdapter;
     private httpServer: http.Server;
     private io: SocketIOServer;
     private metricsCollector: MetricsCollector;
     private config: FrameworkConfig;
     private functionRegistry: FunctionRegistry;
     private contextEnhancer: ContextEnhancer;
+    private conversationManager: ConversationManager;
+    private contextManager: ContextManager;
     private authManager: AuthenticationManager | undefined;
     private examplePrompts: string[] = [];
+    public provider: LLMProvider;
+    private toolsUnsupported = false;
+    private activeChats = new Map<string, ChatRequest>();
+    private pendingApprovals = new Map<string, PendingApproval>();
+    // MCP session id -> HTTP session and the caller it belongs to
+    private mcpSessions = new Map<string, { session: MCPServerSession; owner: string | null; lastSeen: number }>();
+    private rateLimiter: RateLimiter;
 
     constructor(config: Partial<FrameworkConfig>) {
         this.config = this.mergeWithDefaults(config as FrameworkConfig);
@@ -478,7 +1858,12 @@ export class LLMFramework {
             }
         });
         this.functionRegistry = new FunctionRegistry(this.config);
+        this.storage = createStorage(this.config.storage);
+        this.rateLimiter = new RateLimiter(this.storage);
         this.contextEnhancer = new ContextEnhancer();
+        this.conversationManager = new ConversationManager(this.storage);
+        this.contextManager = new ContextManager(this.config, this.conversationManager, async (prompt) => (await this.generateText(prompt)).trim());
+        this.provider = this.createProvider();
         this.metricsCollector = new MetricsCollector();
 
         this.setupMiddleware();
@@ -487,86 +1872,109 @@ export class LLMFramework {
         this.setupWebSockets();
     }
 
+    /**
+     * Resolves `llm.provider` to a provider instance, or `llm.backends` to a failover chain.
+     * `openai` reads its endpoint, model and key from `openAILLM`; the Ollama providers and `mock`
+     * use `llm`. Backends override those per entry.
+     */
+    private createProvider(): LLMProvider {
+        const { llm } = this.config;
+        if (!llm.backends?.length) return this.createBackendProvider({ provider: llm.provider || 'ollama-generate' });
+
+        return new FailoverProvider(llm.backends.map((backend, index) => {
+            const provider = this.createBackendProvider(backend);
+            return { name: backend.name || `${provider.name}:${provider.model}#${index + 1}`, provider, retry: backend.retry, circuitBreaker: backend.circuitBreaker };
+        }));
+    }
+
+    private createBackendProvider(backend: LLMBackendConfig): LLMProvider {
+        const { llm, openAILLM } = this.config;
+        if (typeof backend.provider === 'object') return backend.provider;
+
+        if (backend.provider === 'openai') {
+            return createProvider('openai', {
+                endpoint: backend.endpoint || openAILLM!.endpoint!,
+                model: backend.model || openAILLM!.model!,
+                apiKey: backend.apiKey || openAILLM!.apiKey,
+                embeddingModel: llm.embeddingModel
+            });
+        }
+        const model = backend.model || llm.model;
+        return createProvider(backend.provider, {
+            endpoint: backend.endpoint || llm.endpoint,
+            model,
+            apiKey: backend.apiKey,
+            embeddingModel: llm.embeddingModel,
+            contextSize: this.contextManager.getBudget(model),
+            mockResponses: backend.mockResponses || llm.mockResponses
+        });
+    }
+
+    /** Timeouts for the backend that will serve the next request: `openAILLM`'s for `openai`, `llm`'s otherwise. */
+    private llmTimeouts(): { timeout: number; streamTimeout: number } {
+        const { llm, openAILLM } = this.config;
+        const active = this.provider instanceof FailoverProvider ? this.provider.active : this.provider;
+        if (active.name !== 'openai') return llm;
+        return { timeout: openAILLM?.timeout ?? llm.timeout, streamTimeout: openAILLM?.streamTimeout ?? llm.streamTimeout };
+    }
+
+    /** Which LLM backend is serving requests, and the circuit state of each one in a failover chain. */
+    private getLLMStatus() {
+        if (this.provider instanceof FailoverProvider) return this.provider.getStatus();
+        return { active: this.provider.name, backends: [{ name: this.provider.name, provider: this.provider.name, model: this.provider.model }] };
+    }
+
     private setupWebSockets() {
+        // With authentication on, sockets send an API key or session token as `auth.apiKey` / `auth.token` in the handshake
+        if (this.authManager && this.config.auth.mode !== 'disabled') {
+            this.io.use(async (socket, next) => {
+                const { auth = {}, headers, query } = socket.handshake;
+                const request = { headers: { ...headers, ...(auth.apiKey && { 'x-api-key': auth.apiKey }), ...(auth.token && { authorization: `Bearer ${auth.token}` }) }, query };
+                const result = await this.authManager!.authenticateRequest(request as any).catch(() => null);
+                const permissions = result ? this.authManager!.permissionsFor(result) : [];
+                if (!result || !hasPermissions(permissions, ['chat'])) return next(new Error('Unauthorized'));
+
+                socket.data.auth = { ...result, permissions };
+                next();
+            });
+        }
+
         this.io.on('connection', (socket) => {
             console.log('WebSocket client connected', socket.id);
+            const socketChats = new Set<ChatRequest>();
 
             socket.on('disconnect', () => {
                 console.log('WebSocket client disconnected', socket.id);
+                socketChats.forEach(chat => chat.controller.abort());
             });
 
-            socket.on('chatMessage', async (message: string, callback: (response: any) => void) => {
+            // Accepts a plain message string or { message, conversationId } to continue a conversation
+            socket.on('chatMessage', async (payload: string | { message: string; conversationId?: string }, callback: (response: any) => void) => {
                 this.metricsCollector.chatMessagesCounter.inc();
+                const { message, conversationId } = typeof payload === 'string' ? { message: payload, conversationId: undefined } : payload;
                 const context = this.contextEnhancer.enhanceRequestContext(socket.request);
-
-                try {
-                    const functionCall = this.detectFunctionCall(message);
-                    let ragContext: string | null = null;
-
-                    if (functionCall && this.functionRegistry.get(functionCall.function)?.type === 'rag') {
-                        socket.emit('llmToken', { type: "status", text: "Retrieving knowledge..." });
-                        try {
-                            const func = this.functionRegistry.get(functionCall.function);
-                            if (!func) throw new Error(`Function ${functionCall.function} not found`);
-                            const result = await func.handler(functionCall.args);
-                            if (result.success && result.results) {
-                                ragContext = result.results.join('\n\n');
-                                socket.emit('llmToken', { type: "status", text: "Knowledge retrieved." });
-                            } else if (result.error) {
-                                socket.emit('llmToken', { type: "error", error: `RAG Error: ${result.error}` });
-                            }
-                        } catch (error: any) {
-                            socket.emit('llmToken', { type: "error", error: `RAG Function Error: ${error.message}` });
-                        }
-                    }
-
-                    const systemPrompt = this.contextEnhancer.generateSystemPrompt(this.config.systemPrompt, context, null, ragContext);
-                    const fullPrompt = `${systemPrompt}\n\nUser says: "${message}"\n\nAssistant responds: `;
-
-                    if (functionCall && this.functionRegistry.get(functionCall.function)?.type !== 'rag') {
-                        const funcName = functionCall.function;
-                        const funcType = this.functionRegistry.get(funcName)?.type || 'unknown';
-                        const end = this.metricsCollector.functionCallDurationHistogram.startTimer({ function_name: funcName, function_type: funcType });
-                        socket.emit('llmToken', { type: "status", text: "Processing your request..." });
-                        try {
-                            const func = this.functionRegistry.get(functionCall.function);
-                            if (!func) throw new Error(`Function ${functionCall.function} not found`);
-
-                            const result = await func.handler(functionCall.args);
-                            if (result.success && result.browserAction) {
-                                socket.emit('llmToken', { type: "browser_action", action: result.browserAction, data: result.data });
-                                socket.emit('llmToken', { type: "token", text: this.getBrowserActionConfirmation(result.browserAction, result.data) });
-                                this.metricsCollector.functionCallCounter.inc({ function_name: funcName, function_type: funcType, status: 'success' });
-                            } else if (result.results || result.success) {
-                                socket.emit('llmToken', { type: "function_result", data: result });
-                                this.metricsCollector.functionCallCounter.inc({ function_name: funcName, function_type: funcType, status: 'success' });
-                            }
-                            socket.emit('llmToken', { type: "done" });
-                            end();
-                        } catch (error: any) {
-                            socket.emit('llmToken', { type: "error", error: error.message });
-                            this.metricsCollector.functionCallCounter.inc({ function_name: funcName, function_type: funcType, status: 'error' });
-                            end();
-                        }
-                    } else if (!functionCall || (functionCall && this.functionRegistry.get(functionCall.function)?.type === 'rag' && ragContext)) {
-                        if (this.config.openAILLM?.endpoint) {
-                            await this.streamOpenAILLMResponse([{ role: 'system', content: systemPrompt }, { role: 'user', content: message }], socket);
-                        } else {
-                            await this.streamLLMResponse(fullPrompt, socket);
-                        }
-                    }
-                } catch (error: any) {
-                    console.error("WebSocket chat error:", error);
-                    socket.emit('llmToken', { type: "error", error: error.message });
+                const emit: EventSink = (event) => socket.emit('llmToken', event);
+
+                const owner = socket.data.auth?.user?.id ?? null;
+                const conversation = conversationId ? await this.conversationManager.get(conversationId, owner) : await this.conversationManager.create(owner);
+                if (!conversation) {
+                    emit({ type: "error", error: `Conversation not found: ${conversationId}` });
+                    if (callback) callback({ status: 'error' });
+                    return;
                 }
-                if (callback) callback({ status: 'processed' });
+
+                const chat = this.beginChat(owner, socket.data.auth?.permissions);
+                socketChats.add(chat);
+                await this.runChat(chat, message, conversation, context, socket.data.auth?.user ?? null, emit);
+                socketChats.delete(chat);
+                if (callback) callback({ status: 'processed', conversationId: conversation.id, requestId: chat.id });
             });
         });
     }
 
     private initializeComponents() {
         if (this.config.auth?.enabled) {
-            this.authManager = new AuthenticationManager(this.config);
+            this.authManager = new AuthenticationManager(this.config, this.storage, this.rateLimiter);
         }
         this.registerUserFunctions();
         this.setupSwaggerDocs();
@@ -580,7 +1988,9 @@ export class LLMFramework {
                 case 'command': this.functionRegistry.registerCommand(name, definition); break;
                 case 'script': this.functionRegistry.registerScript(name, definition); break;
                 case 'n8n': this.functionRegistry.registerN8N(name, definition); break;
+                case 'webhook': this.functionRegistry.registerWebhook(name, definition); break;
                 case 'rag': this.functionRegistry.registerRAG(name, definition); break;
+                case 'mcp': this.functionRegistry.addMCPServer(name, definition); break;
                 default: console.warn(`Unknown function type: ${definition.type || '(none)'}`);
             }
         });
@@ -603,15 +2013,32 @@ export class LLMFramework {
     private mergeWithDefaults(config: FrameworkConfig): FrameworkConfig {
         const defaults: FrameworkConfig = {
             server: { port: 3001, ip: "localhost", corsEnabled: true },
-            llm: { endpoint: "http://localhost:11434/api/generate", model: "gemma3:1b", timeout: 900000, streamTimeout: 1200000 },
+            llm: { endpoint: "http://localhost:11434/api/generate", model: "gemma3:1b", timeout: 900000, streamTimeout: 1200000, provider: 'ollama-generate' },
             openAILLM: { endpoint: "https://api.openai.com/v1/chat/completions", model: "gpt-3.5-turbo", timeout: 900000, streamTimeout: 1200000 },
             app: { name: "AI Assistant", description: "AI-powered assistant", welcomeMessage: "Hello! How can I help you today?", primaryColor: "#007bff", secondaryColor: "#6c757d", backgroundImage: null, chatOpacity: 0.95, logo: null, botAvatar: null, browserActions: true, darkMode: false },
             systemPrompt: '',
-            functionPattern: /^FUNCTION:(\w+):(.+)$/,
+            functionPattern: /^FUNCTION:(\w+):([\s\S]+)$/,
             functions: {},
-            auth: { enabled: false, mode: 'disabled', apiKeys: { enabled: true } },
+            agent: { maxSteps: 5, callPrefix: 'FUNCTION:', maxConcurrentCalls: 4, synthesizeResults: false, resultPrompt: DEFAULT_RESULT_PROMPT },
+            auth: {
+                enabled: false,
+                mode: 'disabled',
+                apiKeys: { enabled: true },
+                roles: {
+                    admin: ['*'],
+                    ui: ['chat', 'approve', 'examples', 'functions', 'config'],
+                    user: ['chat', 'approve', 'examples', 'functions', 'config']
+                },
+                sessions: { tokenTtlMs: 15 * 60 * 1000, ttlMs: 7 * 24 * 60 * 60 * 1000 }
+            },
             security: { allowCommands: false, allowScripts: false },
-            examples: { enabled: true, count: 6 }
+            approvals: { timeoutMs: 120000 },
+            webhooks: {},
+            mcpServer: { enabled: false, sessionTtlMs: 30 * 60 * 1000 },
+            rateLimits: {},
+            examples: { enabled: true, count: 6 },
+            storage: { type: 'memory' },
+            context: { defaultBudget: 4096, modelBudgets: {}, reserveTokens: 512, keepRecentTurns: 2, summaryMaxTokens: 256, debug: false }
         };
         // Simple deep merge, can be improved
         return {
@@ -621,9 +2048,16 @@ export class LLMFramework {
             llm: { ...defaults.llm, ...config.llm },
             openAILLM: { ...defaults.openAILLM, ...config.openAILLM },
             app: { ...defaults.app, ...config.app },
-            auth: { ...defaults.auth, ...config.auth },
+            agent: { ...defaults.agent, ...config.agent },
+            auth: { ...defaults.auth, ...config.auth, roles: { ...defaults.auth.roles, ...config.auth?.roles }, sessions: { ...defaults.auth.sessions, ...config.auth?.sessions } },
             security: { ...defaults.security, ...config.security },
+            approvals: { ...defaults.approvals, ...config.approvals },
+            webhooks: { ...defaults.webhooks, ...config.webhooks },
+            mcpServer: { ...defaults.mcpServer, ...config.mcpServer },
+            rateLimits: { ...defaults.rateLimits, ...config.rateLimits },
             examples: { ...defaults.examples, ...config.examples },
+            storage: { ...defaults.storage, ...config.storage },
+            context: { ...defaults.context, ...config.context, modelBudgets: { ...defaults.context.modelBudgets, ...config.context?.modelBudgets } },
             chroma: config.chroma ? { ...config.chroma } : undefined,
             n8n: config.n8n ? { ...config.n8n } : undefined
         };
@@ -656,13 +2090,26 @@ export class LLMFramework {
         if (!func) return null;
 
         try {
-            return { function: funcName, args: func.parseArgs(rawArgs) };
+            return { function: funcName, args: this.functionRegistry.parseArgs(funcName, rawArgs) };
         } catch (error) {
             console.error(`Error parsing args for ${funcName}:`, error);
             return null;
         }
     }
 
+    /**
+     * Finds every text-pattern call in a model turn. Each line starting with `agent.callPrefix`
+     * begins a new call whose arguments run until the next such line; segments that are not valid
+     * calls are dropped.
+     */
+    private detectFunctionCalls(text: string): { function: string; args: any }[] {
+        const prefix = this.config.agent.callPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.trim()
+            .split(new RegExp(`\\n(?=[ \\t]*${prefix})`))
+            .map(segment => this.detectFunctionCall(segment))
+            .filter((call): call is { function: string; args: any } => call !== null);
+    }
+
     private getBrowserActionConfirmation(action: string, data: any): string {
         const confirmations: Record<string, string> = {
             alert: `Alert displayed: "${data.message}"`, 
@@ -673,262 +2120,493 @@ export class LLMFramework {
         return confirmations[action] || `Browser action completed: ${action}`;
     }
 
-    private async streamLLMResponse(prompt: string, socket: any) {
-        const end = this.metricsCollector.llmResponseTimeHistogram.startTimer();
-        const response = await fetch(this.config.llm.endpoint, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ model: this.config.llm.model, prompt, stream: true })
-        });
+    /** Registers a chat so it can be cancelled by its request id. */
+    private beginChat(owner: string | null, permissions?: string[]): ChatRequest {
+        const chat = { id: crypto.randomUUID(), owner, permissions, controller: new AbortController() };
+        this.activeChats.set(chat.id, chat);
+        return chat;
+    }
 
-        if (!response.ok) {
-            end(); // End timer even on error
-            throw new Error(`LLM API error: ${response.status}`);
+    /** Runs a chat to its final event: `done`, `error`, `cancelled` or `timeout`. */
+    private async runChat(chat: ChatRequest, message: string, conversation: Conversation, context: any, user: any, emit: EventSink): Promise<void> {
+        try {
+            await this.processChatMessage(message, conversation, context, user, emit, chat);
+        } catch (error: any) {
+            if (error instanceof ChatAbortedError) {
+                console.log(`⏹️  Chat ${chat.id} ended early: ${error.message}`);
+                emit({ type: error.reason, requestId: chat.id, message: error.message });
+            } else {
+                console.error("Chat error:", error);
+                emit({ type: "error", error: error.message });
+            }
+        } finally {
+            this.activeChats.delete(chat.id);
         }
+    }
 
-        return new Promise<void>((resolve, reject) => {
-            if (!response.body) {
-                end(); // End timer even on error
-                reject(new Error('Response body is null'));
+    /**
+     * Handles one chat message for any transport and records it in the conversation. Function calls
+     * typed by the user run directly; everything else goes through the agent loop. Finishes with a
+     * `done` event unless the chat is cancelled or times out first.
+     */
+    private async processChatMessage(message: string, conversation: Conversation, context: any, user: any, emit: EventSink, chat: ChatRequest): Promise<void> {
+        emit({ type: "conversation", conversationId: conversation.id, requestId: chat.id });
+        await this.conversationManager.append(conversation, { role: 'user', content: message });
+
+        const functionCall = this.detectFunctionCall(message);
+        const funcType = functionCall ? this.functionRegistry.get(functionCall.function)?.type : undefined;
+        let ragContext: string | null = null;
+
+        // If a RAG function is explicitly called, execute it
+        if (functionCall && funcType === 'rag') {
+            emit({ type: "status", text: "Retrieving knowledge..." });
+            try {
+                const result = await this.callFunction(functionCall.function, functionCall.args, chat, emit);
+                if (result.success && result.results) {
+                    ragContext = result.results.join('\n\n'); // Join retrieved documents
+                    emit({ type: "status", text: "Knowledge retrieved." });
+                } else if (result.error) {
+                    emit({ type: "error", error: `RAG Error: ${result.error}` });
+                }
+            } catch (error: any) {
+                emit({ type: "error", error: `RAG Function Error: ${error.message}` });
+            }
+            if (!ragContext) {
+                emit({ type: "done" });
                 return;
             }
-            response.body.on('data', (chunk: Buffer) => {
-                const lines = chunk.toString().split('\n');
-                for (const line of lines) {
-                    if (line.trim()) {
-                        try {
-                            const parsed = JSON.parse(line);
-                            if (parsed.response) socket.emit('llmToken', { type: "token", text: parsed.response });
-                            if (parsed.done) {
-                                socket.emit('llmToken', { type: "done" });
-                                end(); // End timer on successful completion
-                                resolve();
-                                return;
-                            }
-                        } catch (e) {
-                            console.error('Parse error:', e);
-                        }
-                    }
-                }
-            });
-            response.body.on('end', () => {
-                socket.emit('llmToken', { type: "done" });
-                end(); // End timer on stream end
-                resolve();
-            });
-            response.body.on('error', (err) => {
-                end(); // End timer on error
-                reject(err);
-            });
-        });
-    }
-
-    private async streamOpenAILLMResponse(messages: Array<{ role: string; content: string }>, socket: any) {
-        const end = this.metricsCollector.llmResponseTimeHistogram.startTimer();
-        const openAILLMConfig = this.config.openAILLM;
-        if (!openAILLMConfig || !openAILLMConfig.endpoint) {
-            end(); // End timer even on error
-            throw new Error("OpenAI LLM endpoint not configured.");
         }
 
-        const headers: Record<string, string> = {
-            "Content-Type": "application/json",
-        };
-        if (openAILLMConfig.apiKey) {
-            headers["Authorization"] = `Bearer ${openAILLMConfig.apiKey}`;
+        if (functionCall && funcType !== 'rag') {
+            emit({ type: "status", text: "Processing your request..." });
+            const callId = `call_${crypto.randomUUID()}`;
+            emit({ type: "function_call", callId, function: functionCall.function, args: functionCall.args });
+            let result: any;
+            try {
+                result = await this.callFunction(functionCall.function, functionCall.args, chat, emit, callId);
+                this.emitFunctionResult(functionCall.function, result, emit, callId);
+                await this.conversationManager.append(conversation, { role: 'function', name: functionCall.function, args: functionCall.args, content: JSON.stringify(result) });
+            } catch (error: any) {
+                if (!chat.controller.signal.aborted) emit({ type: "error", error: error.message });
+            }
+            if (chat.controller.signal.aborted) throw new ChatAbortedError('cancelled', 'Chat cancelled');
+            const func = this.functionRegistry.get(functionCall.function);
+            if (result && !result.browserAction && (func?.synthesizeResult ?? this.config.agent.synthesizeResults)) {
+                await this.synthesizeAnswer(message, functionCall.function, functionCall.args, result, conversation, context, user, emit, chat);
+            }
+            emit({ type: "done" });
+            return;
         }
 
-        const body = JSON.stringify({
-            model: openAILLMConfig.model,
-            messages: messages,
-            stream: true,
-        });
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), openAILLMConfig.streamTimeout);
-
-        const response = await fetch(openAILLMConfig.endpoint, {
-            method: "POST",
-            headers: headers,
-            body: body,
-            signal: controller.signal, // Use the signal from AbortController
-        });
-
-        clearTimeout(timeoutId); // Clear timeout if fetch completes before timeout
+        const systemPrompt = this.contextEnhancer.generateSystemPrompt(this.config.systemPrompt, context, user, ragContext, this.provider.format !== 'prompt');
+        await this.runAgentLoop(systemPrompt, conversation, emit, chat);
+        emit({ type: "done" });
+    }
 
-        if (!response.ok) {
-            end(); // End timer even on error
-            const errorText = await response.text();
-            throw new Error(`OpenAI LLM API error: ${response.status} - ${errorText}`);
-        }
+    /**
+     * Streams a natural-language answer to `question` from a function result, framed by the
+     * function's `resultPrompt` (or `agent.resultPrompt`). The result is cut down to fit the
+     * model's context budget.
+     */
+    private async synthesizeAnswer(question: string, name: string, args: any, result: any, conversation: Conversation, context: any, user: any, emit: EventSink, chat: ChatRequest): Promise<void> {
+        const systemPrompt = this.contextEnhancer.generateSystemPrompt(this.config.systemPrompt, context, user);
+        const template = this.functionRegistry.get(name)?.resultPrompt || this.config.agent.resultPrompt;
+
+        const availableTokens = this.contextManager.getBudget(this.provider.model) - this.config.context.reserveTokens - this.contextManager.estimateTokens(systemPrompt + template + question);
+        const maxChars = Math.max(availableTokens * 4, 800);
+        let resultText = JSON.stringify(result, null, 2);
+        if (resultText.length > maxChars) resultText = `${resultText.substring(0, maxChars)}... [truncated]`;
+
+        const values: Record<string, string> = { question, function: name, args: typeof args === 'string' ? args : JSON.stringify(args), result: resultText };
+        const prompt = template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+        const render = (format: LLMProvider['format']): LLMRequest => format === 'prompt'
+            ? { prompt: `${systemPrompt}\n\n${prompt}\n\nAssistant responds: ` }
+            : { messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }] };
+
+        const { content } = await this.streamProvider(render, (text) => emit({ type: "token", text }), [], emit, chat.controller.signal);
+        if (content.trim()) await this.conversationManager.append(conversation, { role: 'assistant', content: content.trim() });
+    }
 
-        return new Promise<void>((resolve, reject) => {
-            if (!response.body) {
-                end(); // End timer even on error
-                reject(new Error('Response body is null'));
-                return;
+    /**
+     * Lets the model call functions on its own: each model turn is buffered, and if it contains
+     * function calls (native tool calls, or the text pattern as a fallback) they run and their
+     * results are added to the conversation for the next turn.
+     * Stops at the first plain answer or after `agent.maxSteps` model turns with calls.
+     */
+    private async runAgentLoop(systemPrompt: string, conversation: Conversation, emit: EventSink, chat: ChatRequest): Promise<void> {
+        const signal = chat.controller.signal;
+        for (let step = 1; step <= this.config.agent.maxSteps; step++) {
+            if (signal.aborted) throw new ChatAbortedError('cancelled', 'Chat cancelled');
+            const { turns, summary, report } = await this.contextManager.fitContext(systemPrompt, conversation, this.provider.model);
+            if (this.config.context.debug) emit({ type: "debug", category: "context", ...report });
+
+            const { content, toolCalls } = await this.streamModelTurn(systemPrompt, turns, summary, emit, signal, chat.permissions);
+            if (content.trim() || toolCalls.length) {
+                await this.conversationManager.append(conversation, { role: 'assistant', content: content.trim(), ...(toolCalls.length && { toolCalls }) });
             }
 
-            response.body.on('data', (chunk: Buffer) => {
-                const lines = chunk.toString().split('\n');
-                for (const line of lines) {
-                    if (line.trim() === 'data: [DONE]') {
-                        socket.emit('llmToken', { type: "done" });
-                        end(); // End timer on successful completion
-                        resolve();
-                        return;
-                    }
-                    if (line.startsWith('data: ')) {
-                        try {
-                            const parsed = JSON.parse(line.substring(6));
-                            if (parsed.choices && parsed.choices.length > 0) {
-                                const delta = parsed.choices[0].delta;
-                                if (delta.content) {
-                                    socket.emit('llmToken', { type: "token", text: delta.content });
-                                }
-                            }
-                        } catch (e) {
-                            console.error('Parse error:', e);
-                        }
-                    }
+            // Tool calls whose arguments cannot be parsed are answered with the error instead of running
+            const calls: { id?: string; function: string; args: any; error?: string }[] = [];
+            for (const call of toolCalls) {
+                try {
+                    calls.push({ id: call.id, function: call.name, args: this.functionRegistry.argsFromToolCall(call.name, call.arguments) });
+                } catch (error: any) {
+                    calls.push({ id: call.id, function: call.name, args: call.arguments, error: error.message });
                 }
+            }
+            if (!toolCalls.length) calls.push(...this.detectFunctionCalls(content));
+            if (calls.length === 0) return;
+
+            // Calls in one turn are independent: they run concurrently and report as each finishes,
+            // but their results go into the history in call order
+            const tagged = calls.map(call => ({ ...call, callId: call.id || `call_${crypto.randomUUID()}` }));
+            const results = tagged.map(call => call.error ? { success: false, error: call.error } : undefined);
+            const runnable = tagged.filter(call => !call.error);
+            runnable.forEach(call => emit({ type: "function_call", callId: call.callId, function: call.function, args: call.args, step }));
+            await runConcurrently(runnable, this.config.agent.maxConcurrentCalls, async (call) => {
+                let result: any;
+                try {
+                    result = await this.callFunction(call.function, call.args, chat, emit, call.callId);
+                } catch (error: any) {
+                    result = { success: false, error: error.message };
+                }
+                this.emitFunctionResult(call.function, result, emit, call.callId);
+                results[tagged.indexOf(call)] = result;
             });
+            for (const [index, call] of tagged.entries()) {
+                await this.conversationManager.append(conversation, { role: 'function', name: call.function, args: call.args, toolCallId: call.id, content: JSON.stringify(results[index]) });
+            }
+        }
 
-            response.body.on('end', () => {
-                socket.emit('llmToken', { type: "done" });
-                end(); // End timer on stream end
-                resolve();
-            });
-
-            response.body.on('error', (err) => {
-                end(); // End timer on error
-                reject(err);
-            });
-        });
+        emit({ type: "status", text: `Stopped after ${this.config.agent.maxSteps} function calls` });
     }
 
-    public setupRoutes() {
+    /**
+     * Streams one model turn from the configured provider and returns its text and native tool
+     * calls. Tokens are held back while the output could still be a text-pattern function call
+     * (it starts with `agent.callPrefix`), so raw calls never reach the client.
+     */
+    private async streamModelTurn(systemPrompt: string, turns: ConversationTurn[], summary: string | undefined, emit: EventSink, signal: AbortSignal, permissions?: string[]): Promise<LLMResult> {
+        const prefix = this.config.agent.callPrefix;
+        let buffered = '';
+        let streaming = false;
+        const onToken = (text: string) => {
+            if (streaming) return emit({ type: "token", text });
+
+            buffered += text;
+            const head = buffered.trimStart();
+            const couldBeCall = head.length < prefix.length ? prefix.startsWith(head) : head.startsWith(prefix);
+            if (!couldBeCall) {
+                streaming = true;
+                emit({ type: "token", text: buffered });
+            }
+        };
 
+        const render = (format: LLMProvider['format']): LLMRequest => format === 'prompt'
+            ? { prompt: this.conversationManager.renderPrompt(systemPrompt, turns, summary) }
+            : { messages: this.conversationManager.renderMessages(systemPrompt, turns, summary, format) };
+        const turn = await this.streamProvider(render, onToken, this.functionRegistry.getToolDefinitions(permissions), emit, signal);
 
-        this.app.post("/api/v1/chat/stream", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+        if (!streaming && buffered && this.detectFunctionCalls(turn.content).length === 0) {
+            emit({ type: "token", text: buffered });
+        }
+        return turn;
+    }
 
-            const { message } = req.body;
+    /** One-shot completion without tools, used for internal prompts such as summaries. */
+    private async generateText(prompt: string): Promise<string> {
+        const render = (format: LLMProvider['format']): LLMRequest => format === 'prompt' ? { prompt } : { messages: [{ role: 'user', content: prompt }] };
+        return (await this.streamProvider(render, () => { })).content;
+    }
 
-            const context = this.contextEnhancer.enhanceRequestContext(req);
-
-
-
-            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
-
-
-
-            try {
-
-                const functionCall = this.detectFunctionCall(message);
-
-                let ragContext: string | null = null;
-
-
-
-                // If a RAG function is explicitly called, execute it
-
-                if (functionCall && this.functionRegistry.get(functionCall.function)?.type === 'rag') {
-
-                    res.write(`data: ${JSON.stringify({ type: "status", text: "Retrieving knowledge..." })}\n\n`);
-
-                    try {
-
-                        const func = this.functionRegistry.get(functionCall.function);
-
-                        if (!func) throw new Error(`Function ${functionCall.function} not found`);
-
-                        const result = await func.handler(functionCall.args);
-
-                        if (result.success && result.results) {
-
-                            ragContext = result.results.join('\n\n'); // Join retrieved documents
-
-                            res.write(`data: ${JSON.stringify({ type: "status", text: "Knowledge retrieved." })}\n\n`);
-
-                        } else if (result.error) {
-
-                            res.write(`data: ${JSON.stringify({ type: "error", error: `RAG Error: ${result.error}` })}\n\n`);
-
-                        }
-
-                    } catch (error: any) {
-
-                        res.write(`data: ${JSON.stringify({ type: "error", error: `RAG Function Error: ${error.message}` })}\n\n`);
-
-                    }
-
-                }
-
-
-
-                const systemPrompt = this.contextEnhancer.generateSystemPrompt(this.config.systemPrompt, context, (req as any).auth?.user, ragContext);
-
-                const fullPrompt = `${systemPrompt}\n\nUser says: "${message}"\n\nAssistant responds: `;
-
-
-
-                if (functionCall && this.functionRegistry.get(functionCall.function)?.type !== 'rag') {
-
-                    res.write(`data: ${JSON.stringify({ type: "status", text: "Processing your request..." })}\n\n`);
-
-                    try {
-
-                        const func = this.functionRegistry.get(functionCall.function);
-
-                        if (!func) throw new Error(`Function ${functionCall.function} not found`);
-
-
-
-                        const result = await func.handler(functionCall.args);
-
-                        if (result.success && result.browserAction) {
+    /**
+     * Streams a request through the provider, timing it for metrics. `render` builds the request
+     * for a provider format, so a failover backend can get it in its own shape; switching to a
+     * fallback backend is reported to `emit` as a `status` event. If the backend rejects the
+     * `tools` field (models without tool support), tools are turned off and the request is retried,
+     * leaving the text pattern as the only way to call functions.
+     *
+     * The upstream request is aborted when `signal` fires (ChatAbortedError `cancelled`), when no
+     * output arrives within `llm.timeout`, or when the whole response takes longer than
+     * `llm.streamTimeout` (ChatAbortedError `timeout`). An `openai` backend uses the `openAILLM`
+     * timeouts instead.
+     */
+    private async streamProvider(render: (format: LLMProvider['format']) => LLMRequest, onToken: (text: string) => void, tools: any[] = [], emit?: EventSink, signal?: AbortSignal): Promise<LLMResult> {
+        const useTools = tools.length > 0 && !this.toolsUnsupported;
+        const end = this.metricsCollector.llmResponseTimeHistogram.startTimer();
+        const onFallback = ({ backend, model, reason }: { backend: string; model: string; reason: string }) =>
+            emit?.({ type: "status", text: `Using fallback LLM backend ${backend} (${model})`, backend, model, failover: true, reason });
 
-                            res.write(`data: ${JSON.stringify({ type: "browser_action", action: result.browserAction, data: result.data })}\n\n`);
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+        let timeoutMessage: string | null = null;
+        const abortAfter = (ms: number, message: string) => setTimeout(() => {
+            timeoutMessage = message;
+            controller.abort();
+        }, ms);
+        const { timeout, streamTimeout } = this.llmTimeouts();
+        let firstOutputTimer: NodeJS.Timeout | null = abortAfter(timeout, `LLM did not respond within ${timeout}ms`);
+        const streamTimer = abortAfter(streamTimeout, `LLM response took longer than ${streamTimeout}ms`);
+        const onOutput = (text: string) => {
+            if (firstOutputTimer) clearTimeout(firstOutputTimer);
+            firstOutputTimer = null;
+            onToken(text);
+        };
 
-                            res.write(`data: ${JSON.stringify({ type: "token", text: this.getBrowserActionConfirmation(result.browserAction, result.data) })}\n\n`);
+        // The retry without tools times itself, so the rejected attempt is not recorded
+        let retryWithoutTools = false;
+        try {
+            return await this.provider.stream(render(this.provider.format), onOutput, { ...(useTools && { tools }), render, onFallback, signal: controller.signal });
+        } catch (error: any) {
+            if (timeoutMessage) throw new ChatAbortedError('timeout', timeoutMessage);
+            if (signal?.aborted) throw new ChatAbortedError('cancelled', 'Chat cancelled');
+            if (!useTools || !/\b400\b/.test(error.message) || !/tool/i.test(error.message)) throw error;
+            console.warn(`⚠️  Model does not support native tool calling, falling back to ${this.config.agent.callPrefix} text calls`);
+            this.toolsUnsupported = true;
+            retryWithoutTools = true;
+        } finally {
+            if (firstOutputTimer) clearTimeout(firstOutputTimer);
+            clearTimeout(streamTimer);
+            signal?.removeEventListener('abort', cancel);
+            if (!retryWithoutTools) end();
+        }
+        return this.streamProvider(render, onToken, [], emit, signal);
+    }
 
-                        } else if (result.results || result.success) {
 
-                            res.write(`data: ${JSON.stringify({ type: "function_result", data: result })}\n\n`);
+    /**
+     * Executes a function for a chat, first asking for approval if the function `requiresApproval`.
+     * Progress reported by the handler is streamed as `function_progress` events tagged with `callId`.
+     * Calls the chat's caller lacks `requiredPermissions` for, or that are over the function's rate
+     * limit (reported with a `rate_limited` event), are refused without running.
+     */
+    private async callFunction(name: string, args: any, chat: ChatRequest, emit: EventSink, callId?: string): Promise<any> {
+        if (!this.functionRegistry.canCall(name, chat.permissions)) {
+            console.warn(`🚫 ${chat.owner ?? 'anonymous'} is not permitted to call ${name}`);
+            return { success: false, error: `Not permitted to call ${name}`, forbidden: true };
+        }
 
-                        }
+        const rule = this.functionRegistry.get(name)?.rateLimit ?? this.config.rateLimits.function;
+        if (rule) {
+            const limit = await this.rateLimiter.consume(`function:${name}`, rule);
+            if (!limit.allowed) {
+                emit({ type: "rate_limited", scope: 'function', function: name, ...(callId && { callId }), reason: limit.reason, retryAfter: limit.retryAfter });
+                const error = limit.reason === 'quota' ? `Daily quota for ${name} exceeded` : `Rate limit for ${name} exceeded; retry in ${limit.retryAfter}s`;
+                return { success: false, error, rateLimited: true, retryAfter: limit.retryAfter };
+            }
+        }
 
-                        res.write(`data: ${JSON.stringify({ type: "done" })}\n\n`);
+        if (this.functionRegistry.get(name)?.requiresApproval) {
+            const decision = await this.requestApproval(name, args, chat, emit);
+            if (decision !== 'approved') {
+                return { success: false, error: decision === 'timeout' ? `Approval for ${name} timed out` : `Execution of ${name} was not approved`, approval: decision };
+            }
+        }
+        return this.executeFunction(name, args, {
+            progress: (message, percent) => emit({ type: "function_progress", function: name, ...(callId && { callId }), message, ...(percent !== undefined && { percent }) }),
+            partial: (data) => emit({ type: "function_progress", function: name, ...(callId && { callId }), partial: data }),
+            signal: chat.controller.signal
+        });
+    }
 
-                        res.end();
+    /**
+     * The functions a caller may use, as MCP tools. Calls go through `callFunction` like chat calls.
+     * Browser functions and functions that need approval are not published: an MCP client can
+     * neither run a browser action nor answer an approval prompt.
+     */
+    private mcpToolHost(owner: string | null, permissions?: string[]): MCPToolHost {
+        const published = () => this.functionRegistry.getToolDefinitions(permissions)
+            .filter(({ function: { name } }) => {
+                const func = this.functionRegistry.get(name)!;
+                return func.type !== 'browser' && !func.requiresApproval;
+            })
+            .map(({ function: { name, description, parameters } }) => ({ name, description, inputSchema: parameters }));
 
-                    } catch (error: any) {
+        return {
+            listTools: published,
+            callTool: async (name, args, { signal, onProgress }) => {
+                const chat: ChatRequest = { id: crypto.randomUUID(), owner, permissions, controller: new AbortController() };
+                signal.addEventListener('abort', () => chat.controller.abort(), { once: true });
+                const emit: EventSink = event => {
+                    if (event.type === 'function_progress' && event.message) onProgress(event.message, event.percent);
+                };
+                console.log(`🔌 MCP call: ${name}`);
+                return this.callFunction(name, this.functionRegistry.argsFromToolCall(name, args), chat, emit);
+            }
+        };
+    }
 
-                        res.write(`data: ${JSON.stringify({ type: "error", error: error.message })}\n\n`);
+    /**
+     * Pauses the chat with an `approval_required` event until the call is approved or denied
+     * through `POST /api/v1/approvals/:id`. Unanswered requests are denied after
+     * `approvals.timeoutMs`, and cancelling the chat denies them too.
+     */
+    private requestApproval(name: string, args: any, chat: ChatRequest, emit: EventSink): Promise<'approved' | 'denied' | 'timeout' | 'cancelled'> {
+        const id = crypto.randomUUID();
+        const { timeoutMs } = this.config.approvals;
+        const signal = chat.controller.signal;
+
+        return new Promise(resolve => {
+            const finish = (decision: 'approved' | 'denied' | 'timeout' | 'cancelled') => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+                this.pendingApprovals.delete(id);
+                emit({ type: "approval_resolved", approvalId: id, function: name, approved: decision === 'approved', decision });
+                resolve(decision);
+            };
+            const timer = setTimeout(() => finish('timeout'), timeoutMs);
+            const onAbort = () => finish('cancelled');
+            signal.addEventListener('abort', onAbort);
 
-                        res.end();
+            this.pendingApprovals.set(id, { id, owner: chat.owner, requestId: chat.id, function: name, args, decide: approved => finish(approved ? 'approved' : 'denied') });
+            console.log(`✋ Waiting for approval of ${name} (${id})`);
+            emit({ type: "approval_required", approvalId: id, requestId: chat.id, function: name, args, expiresAt: new Date(Date.now() + timeoutMs).toISOString() });
+        });
+    }
 
-                    }
+    private async executeFunction(name: string, args: any, context: FunctionContext = NO_PROGRESS): Promise<any> {
+        const func = this.functionRegistry.get(name);
+        if (!func) throw new Error(`Function ${name} not found`);
+
+        // Invalid arguments go back to the caller (often the model) in a structured form so it can retry
+        const validationErrors = this.functionRegistry.validateArgs(name, args);
+        if (validationErrors) {
+            this.metricsCollector.functionCallCounter.inc({ function_name: name, function_type: func.type, status: 'invalid_args' });
+            return {
+                success: false,
+                error: `Invalid arguments for ${name}: ${validationErrors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+                validationErrors,
+                parameters: func.parameters
+            };
+        }
 
-                } else if (!functionCall || (functionCall && this.functionRegistry.get(functionCall.function)?.type === 'rag' && ragContext)) {
+        const end = this.metricsCollector.functionCallDurationHistogram.startTimer({ function_name: name, function_type: func.type });
+        try {
+            const result = await func.handler(args, context);
+            this.metricsCollector.functionCallCounter.inc({ function_name: name, function_type: func.type, status: result?.success === false ? 'error' : 'success' });
+            return result;
+        } catch (error) {
+            this.metricsCollector.functionCallCounter.inc({ function_name: name, function_type: func.type, status: 'error' });
+            throw error;
+        } finally {
+            end();
+        }
+    }
 
-                    await this.streamLLMResponse(fullPrompt, res);
+    private emitFunctionResult(name: string, result: any, emit: EventSink, callId?: string) {
+        if (result?.success && result.browserAction) {
+            emit({ type: "browser_action", action: result.browserAction, data: result.data, ...(callId && { callId }) });
+            emit({ type: "token", text: this.getBrowserActionConfirmation(result.browserAction, result.data) });
+        } else {
+            emit({ type: "function_result", function: name, data: result, ...(callId && { callId }) });
+        }
+    }
 
-                }
+    public setupRoutes() {
+        this.app.post("/api/v1/chat/stream", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const { message, conversationId } = req.body;
+            const owner = (req as any).auth?.user?.id ?? null;
+            const conversation = conversationId ? await this.conversationManager.get(conversationId, owner) : await this.conversationManager.create(owner);
+            if (!conversation) return res.status(404).json({ error: `Conversation not found: ${conversationId}` });
 
-            } catch (error: any) {
+            const context = this.contextEnhancer.enhanceRequestContext(req);
+            const emit: EventSink = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
 
-                console.error("Chat error:", error);
+            const chat = this.beginChat(owner, (req as any).auth?.permissions);
+            // A closed browser tab stops generation upstream
+            res.on('close', () => {
+                if (!res.writableEnded) chat.controller.abort();
+            });
 
-                res.write(`data: ${JSON.stringify({ type: "error", error: error.message })}\n\n`);
+            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive", "X-Conversation-Id": conversation.id, "X-Request-Id": chat.id });
+            this.metricsCollector.chatMessagesCounter.inc();
 
-                res.end();
+            await this.runChat(chat, message, conversation, context, (req as any).auth?.user, emit);
+            res.end();
+        });
 
-            }
+        /**
+         * @swagger
+         * /api/v1/chat/{requestId}/cancel:
+         *   post:
+         *     summary: Cancel a running chat.
+         *     description: Stops generation for a chat started by the caller. The chat's stream ends with a `cancelled` event. The request id is sent in the `conversation` event and the `X-Request-Id` header.
+         *     tags:
+         *       - Chat
+         *     parameters:
+         *       - in: path
+         *         name: requestId
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: The chat was cancelled.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: No running chat with this id.
+         */
+        this.app.post("/api/v1/chat/:requestId/cancel", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
+            const owner = (req as any).auth?.user?.id ?? null;
+            const chat = this.activeChats.get(req.params.requestId);
+            if (!chat || chat.owner !== owner) return res.status(404).json({ error: `Chat request not found: ${req.params.requestId}` });
 
+            chat.controller.abort();
+            res.json({ requestId: chat.id, cancelled: true });
         });
 
-
+        /**
+         * @swagger
+         * /api/v1/approvals/{id}:
+         *   post:
+         *     summary: Approve or deny a pending function call.
+         *     description: Resumes a chat paused by an `approval_required` event. Only the user who started the chat can decide; unanswered calls are denied after `approvals.timeoutMs`.
+         *     tags:
+         *       - Chat
+         *     parameters:
+         *       - in: path
+         *         name: id
+         *         required: true
+         *         schema:
+         *           type: string
+         *         description: The `approvalId` from the `approval_required` event.
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - approved
+         *             properties:
+         *               approved:
+         *                 type: boolean
+         *     responses:
+         *       200:
+         *         description: The decision was applied.
+         *       400:
+         *         description: Missing or invalid `approved` flag.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: No pending approval with this id (already decided or expired).
+         */
+        this.app.post("/api/v1/approvals/:id", this.authManager?.requireAuth(['approve']) || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
+            const owner = (req as any).auth?.user?.id ?? null;
+            const approval = this.pendingApprovals.get(req.params.id);
+            if (!approval || approval.owner !== owner) return res.status(404).json({ error: `Approval not found: ${req.params.id}` });
+            if (typeof req.body?.approved !== 'boolean') return res.status(400).json({ error: "Body must contain a boolean 'approved' field." });
+
+            console.log(`${req.body.approved ? '✅' : '🚫'} ${approval.function} ${req.body.approved ? 'approved' : 'denied'} (${approval.id})`);
+            approval.decide(req.body.approved);
+            res.json({ approvalId: approval.id, function: approval.function, approved: req.body.approved });
+        });
 
         /**
 
@@ -938,9 +2616,9 @@ export class LLMFramework {
 
          *   post:
 
-         *     summary: Get chat completions from an OpenAPI-compatible LLM.
+         *     summary: Get chat completions from the configured LLM provider.
 
-         *     description: Sends a list of messages to a configurable OpenAPI-compatible LLM and streams back the response.
+         *     description: Sends a list of messages to the configured LLM provider and streams back the response.
 
          *     tags:
 
@@ -1010,6 +2688,10 @@ export class LLMFramework {
 
          *         description: Authentication required if enabled.
 
+         *       403:
+
+         *         description: The caller lacks a required permission.
+
          *       500:
 
          *         description: Internal server error.
@@ -1028,19 +2710,29 @@ export class LLMFramework {
 
 
 
-            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+            const chat = this.beginChat((req as any).auth?.user?.id ?? null, (req as any).auth?.permissions);
+
+            res.on('close', () => {
+
+                if (!res.writableEnded) chat.controller.abort();
+
+            });
+
+            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive", "X-Request-Id": chat.id });
+
+            const onToken = (text: string) => res.write(`data: ${JSON.stringify({ type: "token", text })}\n\n`);
 
 
 
             try {
 
-                if (this.config.openAILLM?.endpoint) {
+                if (this.provider.format !== 'prompt') {
 
-                    await this.streamOpenAILLMResponse(messages, res);
+                    await this.streamProvider(() => ({ messages }), onToken, [], undefined, chat.controller.signal);
 
                 } else {
 
-                    // Fallback to existing LLM if OpenAPI endpoint is not configured
+                    // Completion-style providers get the messages flattened into a single prompt
 
                     const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
 
@@ -1060,20 +2752,34 @@ export class LLMFramework {
 
 
 
-                    await this.streamLLMResponse(fullPrompt, res);
+                    await this.streamProvider(() => ({ prompt: fullPrompt }), onToken, [], undefined, chat.controller.signal);
 
                 }
 
+                res.write(`data: ${JSON.stringify({ type: "done" })}\n\n`);
+
             } catch (error: any) {
 
-                console.error("OpenAPI chat completions error:", error);
+                if (error instanceof ChatAbortedError) {
 
-                res.write(`data: ${JSON.stringify({ type: "error", error: error.message })}\n\n`);
+                    res.write(`data: ${JSON.stringify({ type: error.reason, requestId: chat.id, message: error.message })}\n\n`);
 
-                res.end();
+                } else {
+
+                    console.error("OpenAPI chat completions error:", error);
+
+                    res.write(`data: ${JSON.stringify({ type: "error", error: error.message })}\n\n`);
+
+                }
+
+            } finally {
+
+                this.activeChats.delete(chat.id);
 
             }
 
+            res.end();
+
         });
 
 
@@ -1150,6 +2856,10 @@ export class LLMFramework {
 
          *         description: Authentication required if enabled.
 
+         *       403:
+
+         *         description: The caller lacks a required permission.
+
          */
         /**
          * @swagger
@@ -1187,6 +2897,8 @@ export class LLMFramework {
          *                           description: Authentication enabled status.
          *       401:
          *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
          */
         this.app.get("/api/v1/config", this.authManager?.requireAuth(['config']) || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
             const publicConfig = {
@@ -1202,7 +2914,7 @@ export class LLMFramework {
          * /api/v1/functions:
          *   get:
          *     summary: Get a list of available functions.
-         *     description: Returns a list of all registered functions, including their names, types, and descriptions.
+         *     description: Returns the functions the caller may invoke (those whose `requiredPermissions` it holds), including their names, types, and descriptions.
          *     tags:
          *       - Functions
          *     responses:
@@ -1224,16 +2936,516 @@ export class LLMFramework {
          *                         type: string
          *                       description:
          *                         type: string
+         *                       parameters:
+         *                         type: object
+         *                         description: JSON Schema for the function's arguments, if declared.
+         *                       origin:
+         *                         type: object
+         *                         description: Set for functions not defined in config, e.g. `{ source: "mcp", server, tool }` for MCP tools.
          *                 total:
          *                   type: number
          *       401:
          *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
          */
         this.app.get("/api/v1/functions", this.authManager?.requireAuth(['functions']) || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
-            const functions = this.functionRegistry.getAll();
+            const functions = this.functionRegistry.getAll((req as any).auth?.permissions);
             res.json({ functions, total: functions.length });
         });
 
+        /**
+         * @swagger
+         * /api/v1/functions/{name}/cache:
+         *   delete:
+         *     summary: Purge a function's response cache.
+         *     description: Removes every cached result of a function configured with `cache`. Requires admin access.
+         *     tags:
+         *       - Functions
+         *     parameters:
+         *       - in: path
+         *         name: name
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: The cache was purged.
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 function:
+         *                   type: string
+         *                 purged:
+         *                   type: number
+         *                   description: Number of entries removed.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: Unknown function, or the function has no cache.
+         */
+        this.app.delete("/api/v1/functions/:name/cache", this.authManager?.requireAuth(['admin']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const cache = this.functionRegistry.getCache(req.params.name);
+            if (!cache) return res.status(404).json({ error: `No cache for function: ${req.params.name}` });
+
+            const purged = await cache.purge();
+            console.log(`🧹 Purged ${purged} cached result(s) for ${req.params.name}`);
+            res.json({ function: req.params.name, purged });
+        });
+
+        if (this.config.mcpServer.enabled) this.setupMCPRoutes();
+
+        /**
+         * @swagger
+         * /api/v1/webhooks/callback/{token}:
+         *   post:
+         *     summary: Receive the result of an async webhook function.
+         *     description: The one-time callback URL sent to a workflow called by an `async` webhook function. The JSON body becomes the function's result and the waiting chat continues. Needs no authentication; the unguessable token is the credential and works once.
+         *     tags:
+         *       - Functions
+         *     parameters:
+         *       - in: path
+         *         name: token
+         *         required: true
+         *         schema:
+         *           type: string
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *     responses:
+         *       200:
+         *         description: Result delivered.
+         *       404:
+         *         description: Unknown, already used or expired callback.
+         */
+        this.app.post("/api/v1/webhooks/callback/:token", (req: Request, res: Response) => {
+            if (!this.functionRegistry.deliverWebhookCallback(req.params.token, req.body)) {
+                return res.status(404).json({ error: 'Unknown or expired callback' });
+            }
+            console.log('📨 Webhook callback received');
+            res.json({ received: true });
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/login:
+         *   post:
+         *     summary: Log in with a username and password.
+         *     description: Checks the credentials against `auth.local.users` and starts a session. Send `token` as `Authorization: Bearer <token>`; exchange `refreshToken` at `/api/v1/auth/refresh` before the token expires.
+         *     tags:
+         *       - Auth
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - username
+         *               - password
+         *             properties:
+         *               username:
+         *                 type: string
+         *               password:
+         *                 type: string
+         *     responses:
+         *       200:
+         *         description: Logged in; returns `token`, `expiresAt`, `refreshToken`, `sessionExpiresAt` and `user`.
+         *       400:
+         *         description: Missing username or password.
+         *       401:
+         *         description: Invalid credentials.
+         *       404:
+         *         description: Local login is not configured.
+         */
+        this.app.post("/api/v1/auth/login", async (req: Request, res: Response) => {
+            if (!this.authManager?.localProvider) return res.status(404).json({ error: 'Local login is not enabled' });
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || typeof password !== 'string') return res.status(400).json({ error: "'username' and 'password' are required" });
+
+            const user = await this.authManager.localProvider.authenticate(username, password);
+            if (!user) return res.status(401).json({ error: 'Invalid username or password' });
+            res.json(await this.authManager.createSession(user));
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/refresh:
+         *   post:
+         *     summary: Refresh a session.
+         *     description: Exchanges a refresh token for a new access token and refresh token, extending the session. Each refresh token works once; reusing one revokes the session.
+         *     tags:
+         *       - Auth
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - refreshToken
+         *             properties:
+         *               refreshToken:
+         *                 type: string
+         *     responses:
+         *       200:
+         *         description: New tokens, in the same shape as the login response.
+         *       401:
+         *         description: Invalid, used or expired refresh token.
+         */
+        this.app.post("/api/v1/auth/refresh", async (req: Request, res: Response) => {
+            if (!this.authManager) return res.status(404).json({ error: 'Authentication is not enabled' });
+            const tokens = typeof req.body?.refreshToken === 'string' ? await this.authManager.refreshSession(req.body.refreshToken) : null;
+            if (!tokens) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+            res.json(tokens);
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/logout:
+         *   post:
+         *     summary: Log out.
+         *     description: Revokes the caller's session, so its access and refresh tokens stop working.
+         *     tags:
+         *       - Auth
+         *     responses:
+         *       200:
+         *         description: The session was revoked.
+         *       401:
+         *         description: Authentication required.
+         */
+        this.app.post("/api/v1/auth/logout", this.authManager?.requireAuth() || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const session = (req as any).auth?.session as Session | undefined;
+            if (!session) return res.status(400).json({ error: 'Only session logins can log out; API keys are revoked through /api/v1/auth/keys' });
+
+            await this.authManager!.revokeSession(session.id);
+            console.log(`🔒 ${session.user.name || session.user.id} logged out`);
+            res.json({ loggedOut: true });
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/me:
+         *   get:
+         *     summary: Describe the caller.
+         *     description: Returns the authenticated user or API key, its effective permissions, and the session's expiry for session logins.
+         *     tags:
+         *       - Auth
+         *     responses:
+         *       200:
+         *         description: The caller.
+         *       401:
+         *         description: Authentication required.
+         */
+        this.app.get("/api/v1/auth/me", this.authManager?.requireAuth() || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
+            const auth = (req as any).auth;
+            if (!auth) return res.status(404).json({ error: 'Authentication is not enabled' });
+            res.json({
+                user: auth.user,
+                permissions: auth.permissions,
+                ...(auth.session && { session: { id: auth.session.id, created: auth.session.created, expiresAt: auth.session.expiresAt } }),
+                ...(auth.apiKey && { apiKey: { id: auth.apiKey.id, name: auth.apiKey.name, expiresAt: auth.apiKey.expiresAt } })
+            });
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/oidc/login:
+         *   get:
+         *     summary: Start an OpenID Connect login.
+         *     description: Redirects the browser to the configured issuer (`auth.oidc`) using the authorization-code flow with PKCE.
+         *     tags:
+         *       - Auth
+         *     responses:
+         *       302:
+         *         description: Redirect to the issuer.
+         *       404:
+         *         description: OIDC login is not configured.
+         *       502:
+         *         description: The issuer could not be reached.
+         */
+        this.app.get("/api/v1/auth/oidc/login", async (req: Request, res: Response) => {
+            if (!this.authManager?.oidcProvider) return res.status(404).json({ error: 'OIDC login is not enabled' });
+            try {
+                res.redirect(await this.authManager.oidcProvider.authorizationUrl());
+            } catch (error: any) {
+                console.error('OIDC login failed:', error.message);
+                res.status(502).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/oidc/callback:
+         *   get:
+         *     summary: Finish an OpenID Connect login.
+         *     description: The issuer redirects here with `code` and `state`. The code is exchanged, the ID token verified and a session started. Answers with the login response as JSON, or redirects to `auth.oidc.postLoginRedirect` with the tokens in the URL fragment.
+         *     tags:
+         *       - Auth
+         *     responses:
+         *       200:
+         *         description: Logged in; same shape as the local login response.
+         *       302:
+         *         description: Logged in; redirect to `postLoginRedirect`.
+         *       401:
+         *         description: The login was rejected or could not be verified.
+         */
+        this.app.get("/api/v1/auth/oidc/callback", async (req: Request, res: Response) => {
+            const oidc = this.authManager?.oidcProvider;
+            if (!oidc) return res.status(404).json({ error: 'OIDC login is not enabled' });
+            try {
+                const tokens = await this.authManager!.createSession(await oidc.handleCallback(req.query as Record<string, string>));
+                const redirect = this.config.auth.oidc?.postLoginRedirect;
+                if (!redirect) return res.json(tokens);
+
+                const fragment = new URLSearchParams({ token: tokens.token, refreshToken: tokens.refreshToken, expiresAt: tokens.expiresAt.toISOString() });
+                res.redirect(`${redirect}#${fragment}`);
+            } catch (error: any) {
+                console.warn('OIDC callback rejected:', error.message);
+                res.status(401).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/keys:
+         *   get:
+         *     summary: List API keys.
+         *     description: Returns every API key's id, label, role, permissions, expiry and usage. Secrets are never returned; `hint` holds the last characters. Requires admin access.
+         *     tags:
+         *       - Auth
+         *     responses:
+         *       200:
+         *         description: The stored keys.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: Authentication is not enabled.
+         *   post:
+         *     summary: Create an API key.
+         *     description: Creates a key and returns its secret once; only a hash is stored. Requires admin access.
+         *     tags:
+         *       - Auth
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - name
+         *               - role
+         *             properties:
+         *               name:
+         *                 type: string
+         *                 description: Label for the key.
+         *               role:
+         *                 type: string
+         *                 description: One of the roles in `auth.roles`.
+         *               permissions:
+         *                 type: array
+         *                 items:
+         *                   type: string
+         *                 description: Permissions on top of the role's.
+         *               expiresAt:
+         *                 type: string
+         *                 format: date-time
+         *               labels:
+         *                 type: object
+         *                 additionalProperties:
+         *                   type: string
+         *                 description: Free-form tags shown in listings.
+         *     responses:
+         *       201:
+         *         description: The new key; `key` is the secret.
+         *       400:
+         *         description: Invalid name, role, permissions, expiry or labels.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         */
+        this.app.get("/api/v1/auth/keys", this.authManager?.requireAuth(['admin']) || ((req: Request, res: Response, next: NextFunction) => next()), (req: Request, res: Response) => {
+            if (!this.authManager) return res.status(404).json({ error: 'Authentication is not enabled' });
+            const keys = this.authManager.listApiKeys();
+            res.json({ keys, total: keys.length });
+        });
+
+        this.app.post("/api/v1/auth/keys", this.authManager?.requireAuth(['admin']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            if (!this.authManager) return res.status(404).json({ error: 'Authentication is not enabled' });
+            const options = this.authManager.parseApiKeyOptions(req.body);
+            if (typeof options === 'string') return res.status(400).json({ error: options });
+
+            const created = await this.authManager.createApiKey(options);
+            console.log(`🔑 Created API key ${created.apiKey.id} (${options.name}, role ${options.role})`);
+            res.status(201).json(created);
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/keys/{id}/rotate:
+         *   post:
+         *     summary: Rotate an API key.
+         *     description: Issues a new secret for the key, keeping its id, role and permissions. The old secret stops working immediately. Requires admin access.
+         *     tags:
+         *       - Auth
+         *     parameters:
+         *       - in: path
+         *         name: id
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: The key with its new secret in `key`.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: No key with this id.
+         */
+        this.app.post("/api/v1/auth/keys/:id/rotate", this.authManager?.requireAuth(['admin']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const rotated = await this.authManager?.rotateApiKey(req.params.id);
+            if (!rotated) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+
+            console.log(`🔑 Rotated API key ${req.params.id}`);
+            res.json(rotated);
+        });
+
+        /**
+         * @swagger
+         * /api/v1/auth/keys/{id}:
+         *   delete:
+         *     summary: Revoke an API key.
+         *     description: Deletes the key; requests using it are rejected from then on. Requires admin access.
+         *     tags:
+         *       - Auth
+         *     parameters:
+         *       - in: path
+         *         name: id
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: The key was revoked.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         *       404:
+         *         description: No key with this id.
+         */
+        this.app.delete("/api/v1/auth/keys/:id", this.authManager?.requireAuth(['admin']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            if (!await this.authManager?.revokeApiKey(req.params.id)) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+
+            console.log(`🔑 Revoked API key ${req.params.id}`);
+            res.json({ id: req.params.id, revoked: true });
+        });
+
+        /**
+         * @swagger
+         * /api/v1/conversations:
+         *   get:
+         *     summary: List conversations.
+         *     description: Returns the caller's conversations, most recently updated first.
+         *     tags:
+         *       - Conversations
+         *     responses:
+         *       200:
+         *         description: Conversation summaries.
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 conversations:
+         *                   type: array
+         *                   items:
+         *                     type: object
+         *                     properties:
+         *                       id:
+         *                         type: string
+         *                       title:
+         *                         type: string
+         *                       turns:
+         *                         type: number
+         *                       created:
+         *                         type: string
+         *                         format: date-time
+         *                       updated:
+         *                         type: string
+         *                         format: date-time
+         *                 total:
+         *                   type: number
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks a required permission.
+         */
+        this.app.get("/api/v1/conversations", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const conversations = await this.conversationManager.list((req as any).auth?.user?.id ?? null);
+            res.json({ conversations, total: conversations.length });
+        });
+
+        /**
+         * @swagger
+         * /api/v1/conversations/{id}:
+         *   get:
+         *     summary: Get a conversation.
+         *     description: Returns a conversation with its ordered user, assistant and function turns.
+         *     tags:
+         *       - Conversations
+         *     parameters:
+         *       - in: path
+         *         name: id
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: The conversation.
+         *       404:
+         *         description: Conversation not found.
+         *   delete:
+         *     summary: Delete a conversation.
+         *     tags:
+         *       - Conversations
+         *     parameters:
+         *       - in: path
+         *         name: id
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: Conversation deleted.
+         *       404:
+         *         description: Conversation not found.
+         */
+        this.app.get("/api/v1/conversations/:id", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            const conversation = await this.conversationManager.get(req.params.id, (req as any).auth?.user?.id ?? null);
+            if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+            res.json({ success: true, conversation });
+        });
+
+        this.app.delete("/api/v1/conversations/:id", this.authManager?.requireAuth(['chat']) || ((req: Request, res: Response, next: NextFunction) => next()), async (req: Request, res: Response) => {
+            if (!await this.conversationManager.delete(req.params.id, (req as any).auth?.user?.id ?? null)) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            res.json({ success: true });
+        });
+
         this.app.get("/examples", async (req: Request, res: Response) => {
             try {
                 if (this.examplePrompts.length === 0) {
@@ -1254,7 +3466,8 @@ export class LLMFramework {
             });
         } else {
             this.app.get("/", (req: Request, res: Response) => {
-                const apiKey = this.authManager?.apiKeys ? Array.from(this.authManager.apiKeys.keys()).find(key => this.authManager!.apiKeys.get(key)!.role === 'ui') : null;
+                // Only a configured UI key can be shown; generated keys are stored as hashes
+                const apiKey = this.authManager ? this.config.auth.apiKeys.uiKey || process.env.UI_API_KEY || null : null;
                 res.json({
                     message: "CorticalAI v2.0 API Server",
                     development: true,
@@ -1270,7 +3483,7 @@ export class LLMFramework {
          * /api/v1/health:
          *   get:
          *     summary: Health check endpoint.
-         *     description: Returns the current status of the API, including application name, version, and system information.
+         *     description: Returns the current status of the API, including application name, version, active LLM backend, and system information.
          *     tags:
          *       - Monitoring
          *     responses:
@@ -1297,6 +3510,9 @@ export class LLMFramework {
          *                       type: boolean
          *                     ui:
          *                       type: boolean
+         *                 llm:
+         *                   type: object
+         *                   description: The active LLM backend and, with `llm.backends`, each backend's circuit state (closed, open, half-open).
          *                 system:
          *                   type: object
          *                 timestamp:
@@ -1305,7 +3521,7 @@ export class LLMFramework {
          */
         this.app.get("/api/v1/health", (req: Request, res: Response) => {
             const context = this.contextEnhancer.enhanceRequestContext(req);
-            res.json({ status: "ok", app: this.config.app.name, version: "2.0.0", features: { functions: this.functionRegistry.getAll().length, auth: !!this.authManager, ui: process.env.DISABLE_DEFAULT_UI !== 'true' }, system: context.system, timestamp: new Date().toISOString() });
+            res.json({ status: "ok", app: this.config.app.name, version: "2.0.0", features: { functions: this.functionRegistry.getAll().length, auth: !!this.authManager, ui: process.env.DISABLE_DEFAULT_UI !== 'true' }, llm: this.getLLMStatus(), system: context.system, timestamp: new Date().toISOString() });
         });
 
         this.app.get("/metrics", async (req: Request, res: Response) => {
@@ -1314,15 +3530,179 @@ export class LLMFramework {
         });
     }
 
+    /** Streamable HTTP transport for the MCP server: JSON-RPC messages are POSTed, one per request. */
+    private setupMCPRoutes() {
+        const guard = this.authManager?.requireAuth(['mcp']) || ((req: Request, res: Response, next: NextFunction) => next());
+        const rpcError = (res: Response, status: number, code: number, message: string, id: any = null) => res.status(status).json({ jsonrpc: '2.0', id, error: { code, message } });
+
+        /**
+         * @swagger
+         * /api/v1/mcp:
+         *   post:
+         *     summary: Model Context Protocol endpoint (streamable HTTP).
+         *     description: Publishes the registered functions as MCP tools. Send one JSON-RPC message per request; `initialize` returns an `Mcp-Session-Id` header that later requests must repeat. `tools/call` answers with an SSE stream (progress notifications, then the result) when the client accepts `text/event-stream`, otherwise with JSON. Requires the `mcp` permission; tools are filtered by the caller's permissions.
+         *     tags:
+         *       - MCP
+         *     parameters:
+         *       - in: header
+         *         name: Mcp-Session-Id
+         *         schema:
+         *           type: string
+         *         description: Session id from the `initialize` response; required on every other request.
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             properties:
+         *               jsonrpc:
+         *                 type: string
+         *                 example: "2.0"
+         *               id:
+         *                 oneOf:
+         *                   - type: string
+         *                   - type: number
+         *               method:
+         *                 type: string
+         *                 example: tools/list
+         *               params:
+         *                 type: object
+         *     responses:
+         *       200:
+         *         description: JSON-RPC response, as JSON or as an SSE stream.
+         *       202:
+         *         description: Notification accepted.
+         *       400:
+         *         description: Not a single JSON-RPC message.
+         *       401:
+         *         description: Authentication required if enabled.
+         *       403:
+         *         description: The caller lacks the `mcp` permission.
+         *       404:
+         *         description: Unknown or expired session; the client should initialize again.
+         *   delete:
+         *     summary: End an MCP session.
+         *     tags:
+         *       - MCP
+         *     responses:
+         *       204:
+         *         description: Session ended.
+         *       404:
+         *         description: Unknown session.
+         */
+        this.app.post("/api/v1/mcp", guard, async (req: Request, res: Response) => {
+            const message = req.body;
+            if (!message || Array.isArray(message) || message.jsonrpc !== '2.0') return rpcError(res, 400, -32600, 'Invalid Request');
+
+            const auth = (req as any).auth;
+            const owner: string | null = auth?.user?.id ?? null;
+            const now = Date.now();
+            let entry;
+            if (message.method === 'initialize') {
+                for (const [id, stale] of this.mcpSessions) {
+                    if (now - stale.lastSeen > this.config.mcpServer.sessionTtlMs) {
+                        stale.session.close();
+                        this.mcpSessions.delete(id);
+                    }
+                }
+                const sessionId = crypto.randomUUID();
+                entry = { session: new MCPServerSession({ name: this.config.app.name, version: '2.0.0' }), owner, lastSeen: now };
+                this.mcpSessions.set(sessionId, entry);
+                res.setHeader('Mcp-Session-Id', sessionId);
+            } else {
+                entry = this.mcpSessions.get(req.header('mcp-session-id') || '');
+                // Sessions are bound to the caller that opened them
+                if (!entry || entry.owner !== owner) return rpcError(res, 404, -32001, 'Unknown MCP session', message.id ?? null);
+                entry.lastSeen = now;
+            }
+
+            const host = this.mcpToolHost(owner, auth?.permissions);
+            if (message.id === undefined) {
+                await entry.session.handle(message, host);
+                return res.status(202).end();
+            }
+
+            const { session } = entry;
+            res.on('close', () => {
+                if (!res.writableEnded) session.cancel(message.id);
+            });
+
+            if (message.method === 'tools/call' && (req.headers.accept || '').includes('text/event-stream')) {
+                res.setHeader('Content-Type', 'text/event-stream');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('Connection', 'keep-alive');
+                const send = (payload: any) => res.write(`event: message\ndata: ${JSON.stringify(payload)}\n\n`);
+                send(await session.handle(message, host, send));
+                return res.end();
+            }
+            res.json(await session.handle(message, host));
+        });
+
+        this.app.get("/api/v1/mcp", guard, (req: Request, res: Response) => {
+            // No server-initiated messages are sent, so there is no stream to open
+            res.setHeader('Allow', 'POST, DELETE');
+            res.status(405).end();
+        });
+
+        this.app.delete("/api/v1/mcp", guard, (req: Request, res: Response) => {
+            const sessionId = req.header('mcp-session-id') || '';
+            const entry = this.mcpSessions.get(sessionId);
+            if (!entry || entry.owner !== ((req as any).auth?.user?.id ?? null)) return res.status(404).end();
+
+            entry.session.close();
+            this.mcpSessions.delete(sessionId);
+            res.status(204).end();
+        });
+    }
+
+    /**
+     * Serves the functions from `config` as MCP tools over stdin/stdout, for MCP clients that launch
+     * CorticalAI as a subprocess; no HTTP server is started. With authentication on, the API key in
+     * MCP_API_KEY decides which tools are published. Resolves when the client closes stdin.
+     */
+    static async serveMCPStdio(config: Partial<FrameworkConfig>) {
+        // stdout carries the protocol, so everything that would be logged there goes to stderr
+        console.log = console.info = console.debug = console.error;
+
+        const framework = new LLMFramework(config);
+        await framework.storage.init();
+        await framework.authManager?.init();
+        await framework.functionRegistry.connectMCPServers();
+
+        let owner: string | null = null;
+        let permissions: string[] | undefined;
+        if (framework.authManager && framework.config.auth.mode !== 'disabled') {
+            const auth = await framework.authManager.authenticateRequest({ headers: { 'x-api-key': process.env.MCP_API_KEY }, query: {} } as any);
+            permissions = auth ? framework.authManager.permissionsFor(auth) : [];
+            if (!auth || !hasPermissions(permissions, ['mcp'])) throw new Error('Set MCP_API_KEY to an API key with the "mcp" permission');
+            owner = auth.user?.id ?? null;
+        }
+
+        const host = framework.mcpToolHost(owner, permissions);
+        console.log(`🔌 Serving ${host.listTools().length} functions over MCP (stdio)`);
+        await serveStdio(new MCPServerSession({ name: framework.config.app.name, version: '2.0.0' }), host);
+
+        await framework.functionRegistry.closeMCPServers();
+        await framework.functionRegistry.closeCaches();
+        await framework.storage.close();
+    }
+
     public async start() {
+        await this.storage.init();
+        await this.authManager?.init();
+        await this.functionRegistry.connectMCPServers();
         this.setupRoutes();
-        this.httpServer.listen(this.config.server.port, this.config.server.ip, () => {
-            console.log(`
+        await new Promise<void>((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.config.server.port, this.config.server.ip, () => resolve());
+        });
+        console.log(`
 ╔══════════════════════════════════════════════════════════════════════════════════════════╗
 ║   🧠 CorticalAI v2.0 - Enhanced Framework                                                 ║
 ╠══════════════════════════════════════════════════════════════════════════════════════════╣
 ║  🚀 Server: http://${this.config.server.ip}:${this.config.server.port}                                               ║
-║  🤖 Model: ${this.config.llm.model.padEnd(60)} ║
+║  🤖 Model: ${`${this.provider.model} (${this.provider.name})`.padEnd(60)} ║
 ║  ⚡ Functions: ${this.functionRegistry.getAll().length.toString().padStart(2)} registered                                           ║
 ║  🔐 Auth: ${(this.authManager ? 'Enabled' : 'Disabled').padEnd(10)}                                                ║
 ║  📚 Docs: http://${this.config.server.ip}:${this.config.server.port}/api/docs                               ║
@@ -1330,6 +3710,15 @@ export class LLMFramework {
 ║  ✅ Status: Ready                                                                       ║
 ╚══════════════════════════════════════════════════════════════════════════════════════════╝
             `);
-        });
+    }
+
+    public async stop() {
+        this.io.close();
+        await new Promise<void>(resolve => this.httpServer.close(() => resolve()));
+        for (const { session } of this.mcpSessions.values()) session.close();
+        this.mcpSessions.clear();
+        await this.functionRegistry.closeCaches();
+        await this.functionRegistry.closeMCPServers();
+        await this.storage.close();
     }
 }
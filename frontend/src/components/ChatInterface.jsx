@@ -15,7 +15,9 @@ import {
     Alert,
     CircularProgress,
     IconButton,
-    Divider
+    Divider,
+    Button,
+    LinearProgress
 } from '@mui/material';
 import {
     Send as SendIcon,
@@ -25,7 +27,9 @@ import {
     Terminal as TerminalIcon,
     Api as ApiIcon,
     Refresh as RefreshIcon,
-    MoreVert as MoreVertIcon
+    MoreVert as MoreVertIcon,
+    Stop as StopIcon,
+    PanTool as ApprovalIcon
 } from '@mui/icons-material';
 import { useApp } from '../context/AppContext';
 import { useTheme } from '@mui/material/styles';
@@ -40,6 +44,10 @@ export default function ChatInterface() {
     const [message, setMessage] = useState('');
     const [isTyping, setIsTyping] = useState(false);
     const messagesEndRef = useRef(null);
+    // Id of the chat currently streaming, used by the stop button
+    const requestIdRef = useRef(null);
+    // Decisions for approval_required events, keyed by approval id
+    const [approvals, setApprovals] = useState({});
     const theme = useTheme();
 
     const scrollToBottom = () => {
@@ -53,6 +61,7 @@ export default function ChatInterface() {
     const getMessageIcon = (msg) => {
         if (msg.type === 'user') return <PersonIcon sx={{ fontSize: 18 }} />;
         if (msg.type === 'function_result') return <CodeIcon sx={{ fontSize: 18 }} />;
+        if (msg.type === 'approval') return <ApprovalIcon sx={{ fontSize: 18 }} />;
         return <BotIcon sx={{ fontSize: 18 }} />;
     };
 
@@ -60,6 +69,7 @@ export default function ChatInterface() {
         if (msg.type === 'user') return 'You';
         if (msg.type === 'function_result') return 'Function Result';
         if (msg.type === 'error') return 'Error';
+        if (msg.type === 'approval') return 'Approval Required';
         return state.config.name;
     };
 
@@ -195,9 +205,12 @@ export default function ChatInterface() {
             const response = await fetch('/api/v1/chat/stream', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message: message.trim() })
+                body: JSON.stringify({ message: message.trim(), conversationId: state.conversationId })
             });
 
+            if (response.status === 429) {
+                throw new Error(`Rate limit exceeded. Try again in ${response.headers.get('Retry-After')}s.`);
+            }
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -205,6 +218,8 @@ export default function ChatInterface() {
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
             let assistantContent = '';
+            // Set once a function result is shown, so the model's follow-up answer gets its own bubble
+            let needsAssistantMessage = false;
 
             const assistantMessage = {
                 id: Date.now() + 1,
@@ -227,24 +242,100 @@ export default function ChatInterface() {
                         try {
                             const data = JSON.parse(line.slice(6));
 
-                            if (data.type === 'token') {
+                            if (data.type === 'conversation') {
+                                dispatch({ type: 'SET_CONVERSATION', payload: data.conversationId });
+                                requestIdRef.current = data.requestId;
+                            } else if (data.type === 'approval_required') {
+                                dispatch({
+                                    type: 'ADD_MESSAGE',
+                                    payload: {
+                                        id: Date.now() + Math.random(),
+                                        type: 'approval',
+                                        content: { approvalId: data.approvalId, function: data.function, args: data.args },
+                                        timestamp: new Date()
+                                    }
+                                });
+                            } else if (data.type === 'approval_resolved') {
+                                setApprovals(prev => ({ ...prev, [data.approvalId]: data.decision }));
+                            } else if (data.type === 'cancelled' || data.type === 'timeout') {
+                                dispatch({
+                                    type: 'ADD_MESSAGE',
+                                    payload: {
+                                        id: Date.now() + Math.random(),
+                                        type: 'error',
+                                        content: data.type === 'cancelled' ? 'Generation stopped.' : `Timed out: ${data.message}`,
+                                        timestamp: new Date()
+                                    }
+                                });
+                            } else if (data.type === 'rate_limited') {
+                                dispatch({
+                                    type: 'ADD_MESSAGE',
+                                    payload: {
+                                        id: Date.now() + Math.random(),
+                                        type: 'error',
+                                        content: `${data.function} is rate limited. Try again in ${data.retryAfter}s.`,
+                                        timestamp: new Date()
+                                    }
+                                });
+                            } else if (data.type === 'token') {
+                                if (needsAssistantMessage) {
+                                    needsAssistantMessage = false;
+                                    assistantContent = '';
+                                    dispatch({
+                                        type: 'ADD_MESSAGE',
+                                        payload: {
+                                            id: Date.now() + Math.random(),
+                                            type: 'assistant',
+                                            content: '',
+                                            timestamp: new Date()
+                                        }
+                                    });
+                                }
                                 assistantContent += data.text;
                                 dispatch({
                                     type: 'UPDATE_LAST_MESSAGE',
                                     payload: { content: assistantContent }
                                 });
-                            } else if (data.type === 'function_result') {
+                            } else if (data.type === 'function_call') {
                                 dispatch({
                                     type: 'ADD_MESSAGE',
                                     payload: {
                                         id: Date.now() + Math.random(),
                                         type: 'function_result',
+                                        callId: data.callId,
+                                        content: `Running ${data.function}...`,
+                                        progress: {},
+                                        timestamp: new Date()
+                                    }
+                                });
+                                needsAssistantMessage = true;
+                            } else if (data.type === 'function_progress') {
+                                if (data.callId) dispatch({ type: 'CALL_PROGRESS', payload: data });
+                            } else if (data.type === 'function_result') {
+                                dispatch({
+                                    type: data.callId ? 'UPDATE_CALL' : 'ADD_MESSAGE',
+                                    payload: {
+                                        id: Date.now() + Math.random(),
+                                        type: 'function_result',
+                                        callId: data.callId,
                                         content: data.data,
+                                        progress: null,
+                                        partial: null,
                                         timestamp: new Date()
                                     }
                                 });
+                                needsAssistantMessage = true;
                             } else if (data.type === 'browser_action') {
-                                if (data.action === 'alert') {
+                                if (data.callId) {
+                                    dispatch({
+                                        type: 'UPDATE_CALL',
+                                        payload: {
+                                            callId: data.callId,
+                                            type: 'browser_action',
+                                            content: data.action === 'alert' ? `Alert: ${data.data.message}` : `Browser action: ${data.action}`
+                                        }
+                                    });
+                                } else if (data.action === 'alert') {
                                     dispatch({
                                         type: 'ADD_MESSAGE',
                                         payload: {
@@ -286,11 +377,36 @@ export default function ChatInterface() {
                 }
             });
         } finally {
+            requestIdRef.current = null;
             dispatch({ type: 'SET_STREAMING', payload: false });
             setIsTyping(false);
         }
     };
 
+    const stopStreaming = async () => {
+        if (!requestIdRef.current) return;
+        try {
+            await fetch(`/api/v1/chat/${requestIdRef.current}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.error('Cancel error:', error);
+        }
+    };
+
+    const decideApproval = async (approvalId, approved) => {
+        setApprovals(prev => ({ ...prev, [approvalId]: 'pending' }));
+        try {
+            const response = await fetch(`/api/v1/approvals/${approvalId}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ approved })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        } catch (error) {
+            console.error('Approval error:', error);
+            setApprovals(prev => ({ ...prev, [approvalId]: undefined }));
+        }
+    };
+
     const handleExampleClick = (example) => {
         setMessage(example);
     };
@@ -305,6 +421,8 @@ export default function ChatInterface() {
                 return 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)';
             case 'error':
                 return 'linear-gradient(135deg, #ff9a9e 0%, #fecfef 100%)';
+            case 'approval':
+                return 'linear-gradient(135deg, #f6a54c 0%, #f0703a 100%)';
             default:
                 return 'rgba(255,255,255,0.95)';
         }
@@ -314,20 +432,102 @@ export default function ChatInterface() {
         return msg.type === 'assistant' ? theme.palette.text.primary : 'white';
     };
 
+    const formatPartial = (partial) => partial
+        .map(item => typeof item === 'string' ? item : item?.line ?? JSON.stringify(item))
+        .join('\n');
+
     const renderMessageContent = (msg) => {
         if (msg.type === 'function_result') {
             return (
-                <Typography
-                    variant="body2"
-                    sx={{
-                        whiteSpace: 'pre-wrap',
-                        fontFamily: '"JetBrains Mono", Monaco, Consolas, monospace',
-                        fontSize: '0.8rem',
-                        lineHeight: 1.5
-                    }}
-                >
-                    {formatFunctionResult(msg.content)}
-                </Typography>
+                <Box>
+                    <Typography
+                        variant="body2"
+                        sx={{
+                            whiteSpace: 'pre-wrap',
+                            fontFamily: '"JetBrains Mono", Monaco, Consolas, monospace',
+                            fontSize: '0.8rem',
+                            lineHeight: 1.5
+                        }}
+                    >
+                        {formatFunctionResult(msg.content)}
+                    </Typography>
+                    {msg.partial?.length > 0 && (
+                        <Typography
+                            variant="body2"
+                            sx={{
+                                whiteSpace: 'pre-wrap',
+                                fontFamily: '"JetBrains Mono", Monaco, Consolas, monospace',
+                                fontSize: '0.75rem',
+                                opacity: 0.85,
+                                mt: 1
+                            }}
+                        >
+                            {formatPartial(msg.partial)}
+                        </Typography>
+                    )}
+                    {msg.progress && (
+                        <Box sx={{ mt: 1 }}>
+                            <LinearProgress
+                                variant={msg.progress.percent !== undefined ? 'determinate' : 'indeterminate'}
+                                value={msg.progress.percent ?? 0}
+                                color="inherit"
+                                sx={{ borderRadius: 1, opacity: 0.8 }}
+                            />
+                            {msg.progress.message && (
+                                <Typography variant="caption" sx={{ display: 'block', mt: 0.5, opacity: 0.85 }}>
+                                    {msg.progress.message}
+                                    {msg.progress.percent !== undefined && ` (${Math.round(msg.progress.percent)}%)`}
+                                </Typography>
+                            )}
+                        </Box>
+                    )}
+                </Box>
+            );
+        } else if (msg.type === 'approval') {
+            const decision = approvals[msg.content.approvalId];
+            return (
+                <Box>
+                    <Typography variant="body1" sx={{ lineHeight: 1.6 }}>
+                        Allow <strong>{msg.content.function}</strong> to run with:
+                    </Typography>
+                    <Typography
+                        variant="body2"
+                        sx={{
+                            whiteSpace: 'pre-wrap',
+                            fontFamily: '"JetBrains Mono", Monaco, Consolas, monospace',
+                            fontSize: '0.8rem',
+                            my: 1
+                        }}
+                    >
+                        {formatFunctionResult(msg.content.args)}
+                    </Typography>
+                    {decision && decision !== 'pending' ? (
+                        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                            {decision === 'approved' ? 'Approved' : decision === 'timeout' ? 'Denied (timed out)' : 'Denied'}
+                        </Typography>
+                    ) : (
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                            <Button
+                                size="small"
+                                variant="contained"
+                                color="success"
+                                disabled={decision === 'pending'}
+                                onClick={() => decideApproval(msg.content.approvalId, true)}
+                            >
+                                Approve
+                            </Button>
+                            <Button
+                                size="small"
+                                variant="contained"
+                                color="error"
+                                disabled={decision === 'pending'}
+                                onClick={() => decideApproval(msg.content.approvalId, false)}
+                            >
+                                Deny
+                            </Button>
+                        </Box>
+                    )}
+                </Box>
             );
         } else if (msg.type === 'assistant') {
             return (
@@ -589,8 +789,8 @@ export default function ChatInterface() {
                         />
                         <Fab
                             size="medium"
-                            onClick={sendMessage}
-                            disabled={!message.trim() || state.isStreaming}
+                            onClick={state.isStreaming ? stopStreaming : sendMessage}
+                            disabled={!state.isStreaming && !message.trim()}
                             sx={{
                                 background: state.config.primaryColor,
                                 color: 'white',
@@ -607,7 +807,7 @@ export default function ChatInterface() {
                                 height: 48
                             }}
                         >
-                            <SendIcon sx={{ fontSize: 20 }} />
+                            {state.isStreaming ? <StopIcon sx={{ fontSize: 20 }} /> : <SendIcon sx={{ fontSize: 20 }} />}
                         </Fab>
                     </Box>
 
@@ -16,6 +16,7 @@ const initialState = {
         darkMode: false
     },
     messages: [],
+    conversationId: null,
     examples: [],
     isStreaming: false,
     user: null,
@@ -43,6 +44,30 @@ function appReducer(state, action) {
                 };
             }
             return { ...state, messages: updatedMessages };
+        case 'UPDATE_CALL':
+            // Fills in the placeholder added for a function_call, matched by call id
+            if (!state.messages.some(msg => msg.callId === action.payload.callId)) {
+                return { ...state, messages: [...state.messages, action.payload] };
+            }
+            return {
+                ...state,
+                messages: state.messages.map(msg => msg.callId === action.payload.callId ? { ...msg, ...action.payload, id: msg.id } : msg)
+            };
+        case 'CALL_PROGRESS':
+            return {
+                ...state,
+                messages: state.messages.map(msg => msg.callId !== action.payload.callId ? msg : {
+                    ...msg,
+                    progress: action.payload.message !== undefined
+                        ? { message: action.payload.message, percent: action.payload.percent }
+                        : msg.progress,
+                    partial: action.payload.partial !== undefined
+                        ? [...(msg.partial || []), action.payload.partial].slice(-50)
+                        : msg.partial
+                })
+            };
+        case 'SET_CONVERSATION':
+            return { ...state, conversationId: action.payload };
         case 'SET_EXAMPLES':
             return { ...state, examples: action.payload };
         case 'SET_STREAMING':
@@ -1,2 +0,0 @@
-export { LLMFramework } from './framework.js';
-export { fetchAPI } from './utils.js';
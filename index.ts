@@ -1,2 +1,8 @@
-export { LLMFramework, type FrameworkConfig } from './framework.js';
+export { LLMFramework, type FrameworkConfig, type LLMBackendConfig, type RateLimitRule } from './framework.js';
 export { fetchAPI } from './utils.js';
+export { htmlToText, parseXml, parseCsv, type APIAuth, type MultipartFile } from './api-client.js';
+export { functions, fromOpenAPI, type OpenAPIImportOptions } from './openapi.js';
+export { type MCPServerConfig } from './mcp.js';
+export { hashPassword, type LocalUserConfig, type OIDCConfig } from './auth-providers.js';
+export { MemoryStorage, JsonFileStorage, SqliteStorage, type StorageAdapter, type StorageConfig } from './storage.js';
+export { MockProvider, FailoverProvider, OllamaGenerateProvider, OllamaChatProvider, OpenAICompatibleProvider, type LLMProvider, type MockResponse } from './providers.js';
@@ -0,0 +1,527 @@
+import fetch from "node-fetch";
+import { spawn, ChildProcess } from "child_process";
+import readline from "readline";
+
+/** Protocol revision spoken by the client and server; the first with streamable HTTP. */
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+export interface JSONRPCMessage {
+    jsonrpc: '2.0';
+    id?: string | number | null;
+    method?: string;
+    params?: any;
+    result?: any;
+    error?: { code: number; message: string; data?: any };
+}
+
+/** A tool as listed by an MCP server. */
+export interface MCPTool {
+    name: string;
+    description?: string;
+    inputSchema: Record<string, any>;
+}
+
+/** Config of an `mcp` function source: either a `command` to launch over stdio or a streamable HTTP `url`. */
+export interface MCPServerConfig {
+    command?: string;
+    args?: string[];
+    cwd?: string;
+    /** Extra environment for stdio servers; they otherwise only get PATH, HOME and a few other basics. */
+    env?: Record<string, string>;
+    url?: string;
+    headers?: Record<string, string>;
+    /** Only register these tools (by their MCP name). */
+    tools?: string[];
+    /** Prepended to tool names to avoid clashes with other functions. */
+    prefix?: string;
+    /** Per-call timeout in ms (default 60000). */
+    timeout?: number;
+}
+
+/** Moves JSON-RPC messages to and from one server. */
+export interface MCPTransport {
+    onmessage?: (message: JSONRPCMessage) => void;
+    /** Called once when the connection is gone, with the reason unless it was closed on purpose. */
+    onclose?: (error?: Error) => void;
+    start(): Promise<void>;
+    send(message: JSONRPCMessage): Promise<void>;
+    close(): Promise<void>;
+    /** Set once the server's protocol version is known; HTTP sends it with every request. */
+    protocolVersion?: string;
+}
+
+const INHERITED_ENV = process.platform === 'win32'
+    ? ['APPDATA', 'HOMEDRIVE', 'HOMEPATH', 'LOCALAPPDATA', 'PATH', 'PROCESSOR_ARCHITECTURE', 'SYSTEMDRIVE', 'SYSTEMROOT', 'TEMP', 'USERNAME', 'USERPROFILE']
+    : ['HOME', 'LOGNAME', 'PATH', 'SHELL', 'TERM', 'USER'];
+
+/** Launches a server as a child process and exchanges newline-delimited JSON over its stdin/stdout. */
+export class StdioClientTransport implements MCPTransport {
+    onmessage?: (message: JSONRPCMessage) => void;
+    onclose?: (error?: Error) => void;
+    private child?: ChildProcess;
+    private closing = false;
+
+    constructor(private name: string, private config: MCPServerConfig) { }
+
+    start(): Promise<void> {
+        const env: NodeJS.ProcessEnv = {};
+        for (const key of INHERITED_ENV) if (process.env[key] !== undefined) env[key] = process.env[key];
+
+        const child = spawn(this.config.command!, this.config.args || [], {
+            cwd: this.config.cwd,
+            env: { ...env, ...this.config.env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.child = child;
+
+        readline.createInterface({ input: child.stdout! }).on('line', line => {
+            if (!line.trim()) return;
+            let message: JSONRPCMessage;
+            try {
+                message = JSON.parse(line);
+            } catch {
+                console.warn(`[mcp:${this.name}] ignoring non-JSON output: ${line.substring(0, 200)}`);
+                return;
+            }
+            this.onmessage?.(message);
+        });
+        readline.createInterface({ input: child.stderr! }).on('line', line => console.error(`[mcp:${this.name}] ${line}`));
+        // A server that stops reading (EPIPE) is treated like one that exited; unhandled, the error would crash the host
+        child.stdin!.on('error', error => {
+            if (this.closing) return;
+            this.onclose?.(new Error(`MCP server stopped reading its input (${error.message})`));
+            child.kill();
+        });
+
+        return new Promise((resolve, reject) => {
+            let started = false;
+            child.once('spawn', () => {
+                started = true;
+                resolve();
+            });
+            child.once('error', error => {
+                if (!started) reject(error);
+            });
+            child.once('close', (code, signal) => {
+                this.child = undefined;
+                this.onclose?.(this.closing ? undefined : new Error(`MCP server exited (${signal || `code ${code}`})`));
+            });
+        });
+    }
+
+    send(message: JSONRPCMessage): Promise<void> {
+        return new Promise((resolve, reject) => {
+            if (!this.child?.stdin?.writable) return reject(new Error('MCP server is not running'));
+            this.child.stdin.write(`${JSON.stringify(message)}\n`, error => error ? reject(error) : resolve());
+        });
+    }
+
+    async close() {
+        const child = this.child;
+        if (!child) return;
+        this.closing = true;
+        // Closing stdin asks the server to exit; it is killed if it does not
+        child.stdin?.end();
+        const exited = new Promise(resolve => child.once('close', resolve));
+        const timer = setTimeout(() => child.kill('SIGKILL'), 2000);
+        child.kill('SIGTERM');
+        await exited;
+        clearTimeout(timer);
+    }
+}
+
+/** Yields the `data` of each event in a server-sent event stream. */
+async function* sseData(body: NodeJS.ReadableStream): AsyncGenerator<string> {
+    let buffer = '';
+    const flush = function* (final: boolean) {
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = final ? '' : events.pop()!;
+        for (const event of events) {
+            const data = event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).replace(/^ /, ''));
+            if (data.length) yield data.join('\n');
+        }
+    };
+    for await (const chunk of body) {
+        buffer += chunk.toString();
+        yield* flush(false);
+    }
+    yield* flush(true);
+}
+
+/**
+ * Streamable HTTP: every message is POSTed to the server's endpoint, which answers with JSON or an
+ * SSE stream carrying the responses. The session id issued at initialization is sent back on each request.
+ */
+export class HttpClientTransport implements MCPTransport {
+    onmessage?: (message: JSONRPCMessage) => void;
+    onclose?: (error?: Error) => void;
+    protocolVersion?: string;
+    private sessionId?: string;
+
+    constructor(private config: MCPServerConfig) { }
+
+    async start() { }
+
+    private headers(): Record<string, string> {
+        return {
+            ...this.config.headers,
+            ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+            ...(this.protocolVersion && { 'MCP-Protocol-Version': this.protocolVersion })
+        };
+    }
+
+    async send(message: JSONRPCMessage) {
+        const response = await fetch(this.config.url!, {
+            method: 'POST',
+            headers: { ...this.headers(), 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+            body: JSON.stringify(message)
+        });
+
+        if (response.status === 404 && this.sessionId) {
+            // The server forgot the session (e.g. it restarted); the client reconnects with a new one
+            this.sessionId = undefined;
+            this.onclose?.(new Error('MCP session expired'));
+            throw new Error('MCP session expired');
+        }
+        if (!response.ok) throw new Error(`MCP server returned HTTP ${response.status}: ${await response.text()}`);
+
+        const sessionId = response.headers.get('mcp-session-id');
+        if (sessionId) this.sessionId = sessionId;
+        if (response.status === 202 || !response.body) return;
+
+        const deliver = (payload: any) => (Array.isArray(payload) ? payload : [payload]).forEach(item => this.onmessage?.(item));
+        if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+            // Responses arrive on the stream later; reading it must not hold up `send`
+            (async () => {
+                for await (const data of sseData(response.body!)) {
+                    try {
+                        deliver(JSON.parse(data));
+                    } catch {
+                        console.warn(`Ignoring malformed MCP event: ${data.substring(0, 200)}`);
+                    }
+                }
+            })().catch(error => console.error('MCP event stream failed:', error.message));
+        } else {
+            const text = await response.text();
+            if (text.trim()) deliver(JSON.parse(text));
+        }
+    }
+
+    async close() {
+        if (this.sessionId) {
+            await fetch(this.config.url!, { method: 'DELETE', headers: this.headers() }).catch(() => undefined);
+            this.sessionId = undefined;
+        }
+        this.onclose?.();
+    }
+}
+
+interface PendingRequest {
+    resolve: (result: any) => void;
+    reject: (error: Error) => void;
+    timer: NodeJS.Timeout;
+    onProgress?: (progress: { progress: number; total?: number; message?: string }) => void;
+}
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+/**
+ * Client side of one MCP server. Connection loss rejects the calls in flight and triggers a
+ * reconnect with exponential backoff; calls made meanwhile wait for the new connection.
+ */
+export class MCPClient {
+    readonly name: string;
+    private config: MCPServerConfig;
+    private transport?: MCPTransport;
+    private connection?: Promise<void>;
+    /** Set once the handshake is done; only a connection that was up is re-established after a loss. */
+    private ready = false;
+    private pending = new Map<number, PendingRequest>();
+    private nextId = 1;
+    private closed = false;
+    private reconnectDelay = RECONNECT_MIN_MS;
+    private reconnectTimer?: NodeJS.Timeout;
+    serverInfo?: { name: string; version?: string };
+
+    constructor(name: string, config: MCPServerConfig) {
+        if (!config.command === !config.url) throw new Error(`MCP server ${name} needs either a command or a url`);
+        this.name = name;
+        this.config = config;
+    }
+
+    /** Connects (if not already connected) and performs the initialize handshake. */
+    connect(): Promise<void> {
+        this.closed = false;
+        this.connection ??= this.open();
+        return this.connection;
+    }
+
+    private async open() {
+        const transport: MCPTransport = this.config.command ? new StdioClientTransport(this.name, this.config) : new HttpClientTransport(this.config);
+        this.transport = transport;
+        transport.onmessage = message => this.handleMessage(message);
+        transport.onclose = error => this.handleClose(transport, error);
+
+        try {
+            await transport.start();
+            const result = await this.request('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: { name: 'CorticalAI', version: '2.0.0' }
+            });
+            transport.protocolVersion = result.protocolVersion;
+            this.serverInfo = result.serverInfo;
+            await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            this.ready = true;
+        } catch (error) {
+            this.connection = undefined;
+            this.transport = undefined;
+            await transport.close().catch(() => undefined);
+            throw error;
+        }
+    }
+
+    private handleClose(transport: MCPTransport, error?: Error) {
+        if (transport !== this.transport) return;
+        const wasReady = this.ready;
+        this.transport = undefined;
+        this.connection = undefined;
+        this.ready = false;
+        for (const [id, request] of this.pending) {
+            clearTimeout(request.timer);
+            request.reject(error || new Error('MCP connection closed'));
+            this.pending.delete(id);
+        }
+        if (!this.closed && error && wasReady) {
+            console.warn(`⚠️  MCP server ${this.name} disconnected: ${error.message}`);
+            this.scheduleReconnect();
+        }
+    }
+
+    private scheduleReconnect() {
+        if (this.reconnectTimer || this.closed) return;
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, RECONNECT_MAX_MS);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = undefined;
+            if (this.closed || this.connection) return;
+            this.connect()
+                .then(() => console.log(`🔌 MCP server ${this.name} reconnected`))
+                .catch(error => {
+                    console.warn(`⚠️  MCP server ${this.name} reconnect failed: ${error.message}`);
+                    this.scheduleReconnect();
+                });
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+
+    private handleMessage(message: JSONRPCMessage) {
+        if (message.method) {
+            if (message.method === 'notifications/progress') {
+                this.pending.get(message.params?.progressToken)?.onProgress?.(message.params);
+            } else if (message.id !== undefined) {
+                // Server-to-client requests: only ping is supported (no sampling, roots or elicitation)
+                const reply: JSONRPCMessage = message.method === 'ping'
+                    ? { jsonrpc: '2.0', id: message.id, result: {} }
+                    : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+                this.transport?.send(reply).catch(() => undefined);
+            }
+            return;
+        }
+
+        const request = this.pending.get(message.id as number);
+        if (!request) return;
+        this.pending.delete(message.id as number);
+        clearTimeout(request.timer);
+        if (message.error) request.reject(new Error(`MCP error ${message.error.code}: ${message.error.message}`));
+        else request.resolve(message.result);
+    }
+
+    private request(method: string, params: any, options: { signal?: AbortSignal; onProgress?: PendingRequest['onProgress'] } = {}): Promise<any> {
+        const transport = this.transport;
+        if (!transport) return Promise.reject(new Error(`MCP server ${this.name} is not connected`));
+
+        if (options.signal?.aborted) return Promise.reject(new Error('Request cancelled'));
+
+        const id = this.nextId++;
+        const timeout = this.config.timeout || 60000;
+        return new Promise((resolve, reject) => {
+            const cancel = (reason: string) => {
+                if (!this.pending.delete(id)) return;
+                clearTimeout(timer);
+                transport.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id, reason } }).catch(() => undefined);
+                reject(new Error(reason));
+            };
+            const timer = setTimeout(() => cancel(`MCP request ${method} timed out after ${timeout}ms`), timeout);
+            const onAbort = () => cancel('Request cancelled');
+            options.signal?.addEventListener('abort', onAbort, { once: true });
+            const settle = <T>(callback: (value: T) => void) => (value: T) => {
+                options.signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            this.pending.set(id, { resolve: settle(resolve), reject: settle(reject), timer, onProgress: options.onProgress });
+            const message: JSONRPCMessage = { jsonrpc: '2.0', id, method, params: options.onProgress ? { ...params, _meta: { progressToken: id } } : params };
+            transport.send(message).catch(error => {
+                if (!this.pending.delete(id)) return;
+                clearTimeout(timer);
+                settle(reject)(error);
+            });
+        });
+    }
+
+    async listTools(): Promise<MCPTool[]> {
+        await this.connect();
+        const tools: MCPTool[] = [];
+        let cursor: string | undefined;
+        do {
+            const page = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...page.tools);
+            cursor = page.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    async callTool(name: string, args: any, options: { signal?: AbortSignal; onProgress?: PendingRequest['onProgress'] } = {}): Promise<any> {
+        await this.connect();
+        return this.request('tools/call', { name, arguments: args ?? {} }, options);
+    }
+
+    async close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = undefined;
+        // The transport's close callback rejects whatever is still in flight
+        await this.transport?.close();
+        this.transport = undefined;
+        this.connection = undefined;
+    }
+}
+
+/** Protocol revisions the server accepts from clients; it answers with the client's if listed. */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', MCP_PROTOCOL_VERSION, '2025-06-18'];
+
+/** What the MCP server publishes to one caller: the framework's functions that caller may use. */
+export interface MCPToolHost {
+    listTools(): MCPTool[];
+    /** Runs a listed tool; failures come back as a result, not an exception. */
+    callTool(name: string, args: any, options: { signal: AbortSignal; onProgress: (message: string, percent?: number) => void }): Promise<any>;
+}
+
+class JSONRPCError extends Error {
+    constructor(public code: number, message: string) {
+        super(message);
+    }
+}
+
+/**
+ * Server side of one MCP session, independent of the transport. Requests go in through `handle`
+ * with the tools of the caller making them; progress for a request goes out through its `notify`.
+ */
+export class MCPServerSession {
+    private serverInfo: { name: string; version: string };
+    // JSON-RPC request id -> call in progress, so `notifications/cancelled` can stop it
+    private inFlight = new Map<string | number, AbortController>();
+
+    constructor(serverInfo: { name: string; version: string }) {
+        this.serverInfo = serverInfo;
+    }
+
+    /** Handles one message; resolves with the response, or undefined for notifications. */
+    async handle(message: JSONRPCMessage, host: MCPToolHost, notify: (notification: JSONRPCMessage) => void = () => { }): Promise<JSONRPCMessage | undefined> {
+        if (message.id === undefined || message.id === null) {
+            if (message.method === 'notifications/cancelled') this.cancel(message.params?.requestId);
+            return undefined;
+        }
+
+        try {
+            return { jsonrpc: '2.0', id: message.id, result: await this.dispatch(message, host, notify) };
+        } catch (error: any) {
+            return { jsonrpc: '2.0', id: message.id, error: { code: error instanceof JSONRPCError ? error.code : -32603, message: error.message } };
+        }
+    }
+
+    private async dispatch(message: JSONRPCMessage, host: MCPToolHost, notify: (notification: JSONRPCMessage) => void): Promise<any> {
+        switch (message.method) {
+            case 'initialize': {
+                const requested = message.params?.protocolVersion;
+                return {
+                    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSION,
+                    capabilities: { tools: { listChanged: false } },
+                    serverInfo: this.serverInfo
+                };
+            }
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: host.listTools() };
+            case 'tools/call':
+                return this.callTool(message, host, notify);
+            default:
+                throw new JSONRPCError(-32601, `Method not found: ${message.method}`);
+        }
+    }
+
+    private async callTool(message: JSONRPCMessage, host: MCPToolHost, notify: (notification: JSONRPCMessage) => void) {
+        const { name, arguments: args, _meta } = message.params || {};
+        if (typeof name !== 'string') throw new JSONRPCError(-32602, 'Missing tool name');
+        if (!host.listTools().some(tool => tool.name === name)) throw new JSONRPCError(-32602, `Unknown tool: ${name}`);
+
+        const controller = new AbortController();
+        this.inFlight.set(message.id!, controller);
+        const progressToken = _meta?.progressToken;
+        let progress = 0;
+        try {
+            const result = await host.callTool(name, args ?? {}, {
+                signal: controller.signal,
+                onProgress: (text, percent) => {
+                    if (progressToken === undefined) return;
+                    // MCP progress must increase with every notification, so messages without a percentage just count up
+                    progress = percent !== undefined ? Math.max(progress, percent) : progress + 1;
+                    notify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress, ...(percent !== undefined && { total: 100 }), message: text } });
+                }
+            });
+            return {
+                content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result, null, 2) }],
+                isError: result?.success === false
+            };
+        } finally {
+            this.inFlight.delete(message.id!);
+        }
+    }
+
+    /** Stops a call still running, e.g. when the client that made it goes away. */
+    cancel(requestId: string | number) {
+        this.inFlight.get(requestId)?.abort();
+    }
+
+    /** Stops every call still running. */
+    close() {
+        for (const controller of this.inFlight.values()) controller.abort();
+        this.inFlight.clear();
+    }
+}
+
+/** Serves one session over this process's stdin/stdout, as MCP clients expect of a launched server. */
+export function serveStdio(session: MCPServerSession, host: MCPToolHost, input: NodeJS.ReadableStream = process.stdin, output: NodeJS.WritableStream = process.stdout): Promise<void> {
+    const write = (message: JSONRPCMessage) => output.write(`${JSON.stringify(message)}\n`);
+    return new Promise(resolve => {
+        readline.createInterface({ input }).on('line', async line => {
+            if (!line.trim()) return;
+            let message: JSONRPCMessage;
+            try {
+                message = JSON.parse(line);
+            } catch {
+                write({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+                return;
+            }
+            const response = await session.handle(message, host, write);
+            if (response) write(response);
+        }).on('close', () => {
+            session.close();
+            resolve();
+        });
+    });
+}
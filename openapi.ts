@@ -0,0 +1,199 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { APIAuth, APIBodyType } from "./api-client.js";
+
+export interface OpenAPIImportOptions {
+    /** Path to an OpenAPI 3 document in JSON or YAML. */
+    spec: string;
+    /** operationIds (or `"METHOD /path"`) to import; every operation when omitted. */
+    operations?: string[];
+    /** Overrides the spec's first `servers` entry. */
+    baseUrl?: string;
+    auth?: APIAuth;
+    /** Prepended to each function name, e.g. `inventory_`. */
+    prefix?: string;
+    /** Extra `api` function options (timeout, retry, cache, rateLimit, ...) applied to every imported function. */
+    functionOptions?: Record<string, any>;
+}
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+/** Follows a local `#/components/...` reference; external references are not supported. */
+function resolveRef(document: any, ref: string): any {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported, got ${ref}`);
+    const target = ref.slice(2).split('/').reduce((node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+    if (target === undefined) throw new Error(`Unresolved $ref ${ref}`);
+    return target;
+}
+
+function deref(document: any, node: any): any {
+    const seen = new Set<string>();
+    while (node?.$ref) {
+        if (seen.has(node.$ref)) throw new Error(`Circular $ref ${node.$ref}`);
+        seen.add(node.$ref);
+        node = resolveRef(document, node.$ref);
+    }
+    return node;
+}
+
+/**
+ * Turns an OpenAPI schema into a self-contained JSON Schema: references are inlined (a schema
+ * that refers back to itself becomes `{}` at that point) and 3.0's `nullable` becomes a null type.
+ */
+function toJsonSchema(document: any, schema: any, inProgress: string[] = []): any {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(item => toJsonSchema(document, item, inProgress));
+
+    if (schema.$ref) {
+        if (inProgress.includes(schema.$ref)) return {};
+        return toJsonSchema(document, resolveRef(document, schema.$ref), [...inProgress, schema.$ref]);
+    }
+
+    const { nullable, discriminator, xml, externalDocs, example, ...rest } = schema;
+    const converted: Record<string, any> = {};
+    for (const [key, value] of Object.entries(rest)) {
+        // `properties` maps names to schemas, so its keys must not be mistaken for keywords
+        converted[key] = key === 'properties' || key === 'patternProperties'
+            ? Object.fromEntries(Object.entries(value as object).map(([name, property]) => [name, toJsonSchema(document, property, inProgress)]))
+            : toJsonSchema(document, value, inProgress);
+    }
+    if (nullable) {
+        if (typeof converted.type === 'string') converted.type = [converted.type, 'null'];
+        else if (converted.enum) converted.enum = [...converted.enum, null];
+    }
+    return converted;
+}
+
+function serverUrl(document: any): string | undefined {
+    const server = document.servers?.[0];
+    if (!server?.url) return undefined;
+    return server.url.replace(/\{(\w+)\}/g, (match: string, variable: string) => server.variables?.[variable]?.default ?? match);
+}
+
+function functionName(operationId: string | undefined, method: string, route: string): string {
+    const name = operationId || [method, ...route.split('/').filter(Boolean)].join('_');
+    return name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+const BODY_TYPES: [string, APIBodyType][] = [
+    ['application/json', 'json'],
+    ['application/x-www-form-urlencoded', 'form'],
+    ['multipart/form-data', 'multipart'],
+    ['text/plain', 'text']
+];
+
+/**
+ * Reads an OpenAPI 3 document and returns `api` function definitions for the selected
+ * operations, ready to spread into `config.functions`. Path and query parameters become
+ * top-level properties of the function's `parameters` schema; a request body is the `body` property,
+ * so an operation that also has a path or query parameter named `body` is refused.
+ */
+export function fromOpenAPI(options: OpenAPIImportOptions): Record<string, any> {
+    const specPath = path.resolve(options.spec);
+    const text = fs.readFileSync(specPath, 'utf8');
+    let document: any;
+    try {
+        document = /\.ya?ml$/i.test(specPath) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error: any) {
+        throw new Error(`Cannot parse OpenAPI document ${options.spec}: ${error.message}`);
+    }
+    if (typeof document?.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+        throw new Error(`${options.spec} is not an OpenAPI 3 document`);
+    }
+
+    const baseUrl = (options.baseUrl || serverUrl(document))?.replace(/\/$/, '');
+    if (!baseUrl || !/^https?:\/\//.test(baseUrl)) {
+        throw new Error(`${options.spec} has no absolute server URL; pass baseUrl`);
+    }
+
+    const wanted = options.operations && new Set(options.operations);
+    const functions: Record<string, any> = {};
+    const sources = new Map<string, string>();
+
+    for (const [route, pathItem] of Object.entries<any>(document.paths || {})) {
+        const item = deref(document, pathItem);
+        for (const method of HTTP_METHODS) {
+            const operation = item[method];
+            if (!operation) continue;
+            const key = `${method.toUpperCase()} ${route}`;
+            if (wanted && !wanted.has(operation.operationId) && !wanted.has(key)) continue;
+            wanted?.delete(operation.operationId);
+            wanted?.delete(key);
+
+            const name = `${options.prefix || ''}${functionName(operation.operationId, method, route)}`;
+            if (sources.has(name)) throw new Error(`OpenAPI operations ${sources.get(name)} and ${key} both map to function ${name}`);
+            sources.set(name, key);
+            functions[name] = buildFunction(document, baseUrl, method, route, item, operation, options);
+        }
+    }
+
+    if (wanted?.size) throw new Error(`OpenAPI operations not found in ${options.spec}: ${[...wanted].join(', ')}`);
+    return functions;
+}
+
+function buildFunction(document: any, baseUrl: string, method: string, route: string, pathItem: any, operation: any, options: OpenAPIImportOptions) {
+    const properties: Record<string, any> = {};
+    const required: string[] = [];
+    const queryParams: { name: string; explode: boolean }[] = [];
+
+    // Operation-level parameters override path-level ones with the same name and location
+    const parameters = new Map<string, any>();
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])].map(parameter => deref(document, parameter))) {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    }
+
+    for (const parameter of parameters.values()) {
+        if (parameter.in !== 'path' && parameter.in !== 'query') continue;
+        properties[parameter.name] = {
+            ...toJsonSchema(document, parameter.schema || { type: 'string' }),
+            ...(parameter.description && { description: parameter.description })
+        };
+        if (parameter.required || parameter.in === 'path') required.push(parameter.name);
+        if (parameter.in === 'query') queryParams.push({ name: parameter.name, explode: parameter.explode ?? true });
+    }
+
+    let bodyType: APIBodyType | undefined;
+    const requestBody = deref(document, operation.requestBody);
+    if (requestBody?.content) {
+        const [mediaType, type] = BODY_TYPES.find(([mediaType]) => requestBody.content[mediaType]) || [];
+        if (!mediaType) throw new Error(`${method.toUpperCase()} ${route}: unsupported request body type ${Object.keys(requestBody.content).join(', ')}`);
+        if (properties.body) throw new Error(`${method.toUpperCase()} ${route}: parameter "body" collides with the request body`);
+        bodyType = type;
+        properties.body = {
+            ...toJsonSchema(document, requestBody.content[mediaType].schema || {}),
+            ...(requestBody.description && { description: requestBody.description })
+        };
+        if (requestBody.required) required.push('body');
+    }
+
+    return {
+        type: 'api',
+        method: method.toUpperCase(),
+        endpoint: (args: any) => {
+            const values = args && typeof args === 'object' ? args : {};
+            const url = new URL(baseUrl + route.replace(/\{([^}]+)\}/g, (match, name) => {
+                const value = String(values[name] ?? match);
+                // URL parsing resolves `.` and `..` segments (even as %2E), which would leave the route
+                if (value === '.' || value === '..') throw new Error(`Path parameter "${name}" cannot be "${value}"`);
+                return encodeURIComponent(value);
+            }));
+            for (const { name, explode } of queryParams) {
+                const value = values[name];
+                if (value === undefined || value === null) continue;
+                if (!Array.isArray(value)) url.searchParams.set(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                else if (explode) value.forEach(item => url.searchParams.append(name, String(item)));
+                else url.searchParams.set(name, value.join(','));
+            }
+            return url.toString();
+        },
+        ...(bodyType && { body: (args: any) => args?.body, bodyType }),
+        parameters: { type: 'object', properties, ...(required.length && { required }) },
+        ...(options.auth && { auth: options.auth }),
+        ...options.functionOptions,
+        description: operation.summary || operation.description || `${method.toUpperCase()} ${route}`
+    };
+}
+
+/** Loaders that build function definitions, for spreading into `config.functions`. */
+export const functions = { fromOpenAPI };
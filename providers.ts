@@ -0,0 +1,500 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+
+export interface ToolCall {
+    id: string;
+    name: string;
+    arguments: any;
+}
+
+export interface ChatMessage {
+    role: string;
+    content: string;
+    [key: string]: any;
+}
+
+export interface ToolDefinition {
+    type: 'function';
+    function: { name: string; description: string; parameters: Record<string, any> };
+}
+
+/** A prompt for completion-style backends or a message list for chat-style ones. */
+export type LLMRequest = { prompt: string; messages?: undefined } | { messages: ChatMessage[]; prompt?: undefined };
+
+export interface LLMResult {
+    content: string;
+    toolCalls: ToolCall[];
+}
+
+export interface LLMCallOptions {
+    tools?: ToolDefinition[];
+    signal?: AbortSignal;
+    /** Re-renders the request for a fallback backend that expects a different format. */
+    render?: (format: LLMProvider['format']) => LLMRequest;
+    /** Called whenever a fallback backend is tried instead of the primary one. */
+    onFallback?: (event: { backend: string; model: string; reason: string }) => void;
+}
+
+/** An HTTP error from an LLM backend; `status` decides whether failover and retries apply. */
+export class LLMAPIError extends Error {
+    status: number;
+
+    constructor(status: number, body: string) {
+        super(`LLM API error: ${status} - ${body}`);
+        this.name = 'LLMAPIError';
+        this.status = status;
+    }
+}
+
+/**
+ * A language-model backend. `format` tells the framework how to render conversations for it:
+ * `prompt` backends take a single text prompt, `ollama`/`openai` backends take chat messages
+ * (and native tool calls) in that API's shape.
+ */
+export interface LLMProvider {
+    readonly name: string;
+    readonly model: string;
+    readonly format: 'prompt' | 'ollama' | 'openai';
+    generate(prompt: string, options?: LLMCallOptions): Promise<string>;
+    chat(messages: ChatMessage[], options?: LLMCallOptions): Promise<LLMResult>;
+    stream(request: LLMRequest, onToken: (text: string) => void, options?: LLMCallOptions): Promise<LLMResult>;
+    embed(texts: string[]): Promise<number[][]>;
+}
+
+export interface ProviderOptions {
+    endpoint: string;
+    model: string;
+    apiKey?: string;
+    embeddingModel?: string;
+    contextSize?: number;
+}
+
+/** Splits a streamed response body into lines, carrying partial lines across chunks. */
+async function* readLines(body: NodeJS.ReadableStream): AsyncGenerator<string> {
+    let pending = '';
+    for await (const chunk of body) {
+        const lines = (pending + chunk.toString()).split('\n');
+        pending = lines.pop() || '';
+        yield* lines;
+    }
+    if (pending) yield pending;
+}
+
+function parseLine(line: string): any {
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        console.error('Parse error:', e);
+        return null;
+    }
+}
+
+function toPrompt(messages: ChatMessage[]): string {
+    return `${messages.map(message => `${message.role}: ${message.content}`).join('\n\n')}\n\nassistant: `;
+}
+
+abstract class BaseProvider implements LLMProvider {
+    abstract readonly name: string;
+    abstract readonly format: 'prompt' | 'ollama' | 'openai';
+    protected options: ProviderOptions;
+
+    constructor(options: ProviderOptions) {
+        this.options = options;
+    }
+
+    get model(): string {
+        return this.options.model;
+    }
+
+    async generate(prompt: string, options?: LLMCallOptions): Promise<string> {
+        return (await this.stream({ prompt }, () => { }, options)).content;
+    }
+
+    async chat(messages: ChatMessage[], options?: LLMCallOptions): Promise<LLMResult> {
+        return this.stream({ messages }, () => { }, options);
+    }
+
+    abstract stream(request: LLMRequest, onToken: (text: string) => void, options?: LLMCallOptions): Promise<LLMResult>;
+    abstract embed(texts: string[]): Promise<number[][]>;
+
+    protected async post(url: string, body: any, signal?: AbortSignal) {
+        const response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...(this.options.apiKey && { "Authorization": `Bearer ${this.options.apiKey}` })
+            },
+            body: JSON.stringify(body),
+            signal: signal as any
+        });
+        if (!response.ok) throw new LLMAPIError(response.status, await response.text());
+        if (!response.body) throw new Error('Response body is null');
+        return response;
+    }
+
+    protected get ollamaBase(): string {
+        return this.options.endpoint.replace(/\/api\/(generate|chat)\/?$/, '');
+    }
+
+    protected async ollamaEmbed(texts: string[]): Promise<number[][]> {
+        const response = await this.post(`${this.ollamaBase}/api/embed`, { model: this.options.embeddingModel || this.options.model, input: texts });
+        const data: any = await response.json();
+        return data.embeddings;
+    }
+}
+
+/** Ollama `/api/generate`: one text prompt in, NDJSON `response` chunks out. */
+export class OllamaGenerateProvider extends BaseProvider {
+    readonly name = 'ollama-generate';
+    readonly format = 'prompt';
+
+    async stream(request: LLMRequest, onToken: (text: string) => void, options: LLMCallOptions = {}): Promise<LLMResult> {
+        const prompt = request.prompt ?? toPrompt(request.messages!);
+        const response = await this.post(`${this.ollamaBase}/api/generate`, {
+            model: this.options.model,
+            prompt,
+            stream: true,
+            ...(this.options.contextSize && { options: { num_ctx: this.options.contextSize } })
+        }, options.signal);
+
+        let content = '';
+        for await (const line of readLines(response.body!)) {
+            if (!line.trim()) continue;
+            const parsed = parseLine(line);
+            if (parsed?.response) {
+                content += parsed.response;
+                onToken(parsed.response);
+            }
+            if (parsed?.done) break;
+        }
+        return { content, toolCalls: [] };
+    }
+
+    embed(texts: string[]): Promise<number[][]> {
+        return this.ollamaEmbed(texts);
+    }
+}
+
+/** Ollama `/api/chat`: chat messages and optional `tools` in, NDJSON `message` chunks out. */
+export class OllamaChatProvider extends BaseProvider {
+    readonly name = 'ollama-chat';
+    readonly format = 'ollama';
+
+    async stream(request: LLMRequest, onToken: (text: string) => void, options: LLMCallOptions = {}): Promise<LLMResult> {
+        const messages = request.messages ?? [{ role: 'user', content: request.prompt! }];
+        const response = await this.post(`${this.ollamaBase}/api/chat`, {
+            model: this.options.model,
+            messages,
+            stream: true,
+            ...(options.tools?.length && { tools: options.tools }),
+            ...(this.options.contextSize && { options: { num_ctx: this.options.contextSize } })
+        }, options.signal);
+
+        let content = '';
+        const toolCalls: ToolCall[] = [];
+        for await (const line of readLines(response.body!)) {
+            if (!line.trim()) continue;
+            const parsed = parseLine(line);
+            if (parsed?.message?.content) {
+                content += parsed.message.content;
+                onToken(parsed.message.content);
+            }
+            for (const call of parsed?.message?.tool_calls || []) {
+                toolCalls.push({ id: call.id || `call_${crypto.randomUUID()}`, name: call.function.name, arguments: call.function.arguments });
+            }
+            if (parsed?.done) break;
+        }
+        return { content, toolCalls };
+    }
+
+    embed(texts: string[]): Promise<number[][]> {
+        return this.ollamaEmbed(texts);
+    }
+}
+
+/** OpenAI-compatible `/chat/completions` with SSE streaming and `tools`/`tool_calls`. */
+export class OpenAICompatibleProvider extends BaseProvider {
+    readonly name = 'openai';
+    readonly format = 'openai';
+
+    async stream(request: LLMRequest, onToken: (text: string) => void, options: LLMCallOptions = {}): Promise<LLMResult> {
+        const messages = request.messages ?? [{ role: 'user', content: request.prompt! }];
+        const response = await this.post(this.options.endpoint, {
+            model: this.options.model,
+            messages,
+            stream: true,
+            ...(options.tools?.length && { tools: options.tools })
+        }, options.signal);
+
+        let content = '';
+        // Tool calls arrive in fragments keyed by index; arguments are concatenated
+        const parts: { id: string; name: string; arguments: string }[] = [];
+        for await (const line of readLines(response.body!)) {
+            if (line.trim() === 'data: [DONE]') break;
+            if (!line.startsWith('data: ')) continue;
+            const delta = parseLine(line.substring(6))?.choices?.[0]?.delta;
+            if (!delta) continue;
+            if (delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+            for (const part of delta.tool_calls || []) {
+                const call = parts[part.index ?? 0] ||= { id: '', name: '', arguments: '' };
+                if (part.id) call.id = part.id;
+                if (part.function?.name) call.name += part.function.name;
+                if (part.function?.arguments) call.arguments += part.function.arguments;
+            }
+        }
+
+        const toolCalls = parts.filter(Boolean).map(call => {
+            let args: any = call.arguments || '{}';
+            try {
+                args = JSON.parse(args);
+            } catch (e) {
+                // Left as text; the registry treats it as legacy raw arguments
+            }
+            return { id: call.id || `call_${crypto.randomUUID()}`, name: call.name, arguments: args };
+        });
+        return { content, toolCalls };
+    }
+
+    async embed(texts: string[]): Promise<number[][]> {
+        const endpoint = this.options.endpoint.replace(/\/chat\/completions\/?$/, '/embeddings');
+        const response = await this.post(endpoint, { model: this.options.embeddingModel || 'text-embedding-3-small', input: texts });
+        const data: any = await response.json();
+        return data.data.map((item: any) => item.embedding);
+    }
+}
+
+export type MockResponse = string | { content?: string; toolCalls?: { name: string; arguments: any; id?: string }[]; delayMs?: number };
+
+/**
+ * Deterministic provider for tests and CI. Replays `responses` in order (streaming each one word
+ * by word) and records every request in `requests`. A function can be given instead of a list to
+ * compute responses from the request. `delayMs` on a response waits that long before each token,
+ * which is handy for exercising timeouts and cancellation.
+ */
+export class MockProvider implements LLMProvider {
+    readonly name = 'mock';
+    readonly model: string;
+    readonly format: 'prompt' | 'ollama' | 'openai';
+    public requests: { request: LLMRequest; options: LLMCallOptions }[] = [];
+    private responses: MockResponse[] | ((request: LLMRequest, index: number) => MockResponse);
+
+    constructor(responses: MockResponse[] | ((request: LLMRequest, index: number) => MockResponse) = [], options: { model?: string; format?: 'prompt' | 'ollama' | 'openai' } = {}) {
+        this.responses = responses;
+        this.model = options.model || 'mock';
+        this.format = options.format || 'prompt';
+    }
+
+    async generate(prompt: string, options?: LLMCallOptions): Promise<string> {
+        return (await this.stream({ prompt }, () => { }, options)).content;
+    }
+
+    async chat(messages: ChatMessage[], options?: LLMCallOptions): Promise<LLMResult> {
+        return this.stream({ messages }, () => { }, options);
+    }
+
+    async stream(request: LLMRequest, onToken: (text: string) => void, options: LLMCallOptions = {}): Promise<LLMResult> {
+        const index = this.requests.length;
+        this.requests.push({ request, options });
+
+        const scripted = typeof this.responses === 'function' ? this.responses(request, index) : this.responses[index];
+        if (scripted === undefined) throw new Error(`Mock provider has no scripted response for request ${index + 1}`);
+
+        const response = typeof scripted === 'string' ? { content: scripted } : scripted;
+        const content = response.content || '';
+        const delayMs = typeof scripted === 'string' ? 0 : scripted.delayMs || 0;
+        for (const token of content.match(/\S+\s*|\s+/g) || [content]) {
+            if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (options.signal?.aborted) throw new Error('The operation was aborted');
+            if (token) onToken(token);
+        }
+        const toolCalls = (response.toolCalls || []).map((call, i) => ({ id: call.id || `call_mock_${index}_${i}`, name: call.name, arguments: call.arguments }));
+        return { content, toolCalls };
+    }
+
+    /** Returns stable pseudo-embeddings derived from a hash of each text. */
+    async embed(texts: string[]): Promise<number[][]> {
+        return texts.map(text => Array.from(crypto.createHash('sha256').update(text).digest()).slice(0, 16).map(byte => byte / 255));
+    }
+}
+
+export type ProviderName = 'ollama-generate' | 'ollama-chat' | 'openai' | 'mock';
+
+export function createProvider(name: ProviderName, options: ProviderOptions & { mockResponses?: MockResponse[] }): LLMProvider {
+    switch (name) {
+        case 'ollama-generate': return new OllamaGenerateProvider(options);
+        case 'ollama-chat': return new OllamaChatProvider(options);
+        case 'openai': return new OpenAICompatibleProvider(options);
+        case 'mock': return new MockProvider(options.mockResponses, { model: options.model });
+        default: throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+export interface RetryPolicy {
+    /** Total attempts per request, including the first. */
+    attempts: number;
+    backoffMs: number;
+    maxBackoffMs: number;
+}
+
+export interface CircuitBreakerPolicy {
+    /** Consecutive failed requests before the backend is skipped. */
+    failureThreshold: number;
+    /** How long the backend is skipped before a single probe request is let through. */
+    resetTimeoutMs: number;
+}
+
+export interface FailoverBackend {
+    name: string;
+    provider: LLMProvider;
+    retry?: Partial<RetryPolicy>;
+    circuitBreaker?: Partial<CircuitBreakerPolicy>;
+}
+
+interface BackendState {
+    name: string;
+    provider: LLMProvider;
+    retry: RetryPolicy;
+    breaker: CircuitBreakerPolicy;
+    failures: number;
+    openedAt: number | null;
+    /** A half-open probe is in flight; other requests skip the backend until it settles. */
+    probing: boolean;
+    lastError?: string;
+}
+
+/**
+ * Tries an ordered list of backends, retrying each with exponential backoff before failing over
+ * to the next. A circuit breaker skips a backend after `failureThreshold` failed requests and
+ * lets one probe through after `resetTimeoutMs`; concurrent requests fail over until it settles.
+ * Client errors (4xx other than 404/408/429) are the caller's problem and are thrown straight
+ * away, as is any failure after tokens were streamed.
+ */
+export class FailoverProvider implements LLMProvider {
+    readonly name = 'failover';
+    private backends: BackendState[];
+
+    constructor(backends: FailoverBackend[]) {
+        if (backends.length === 0) throw new Error('FailoverProvider needs at least one backend');
+        this.backends = backends.map(backend => ({
+            name: backend.name,
+            provider: backend.provider,
+            retry: { attempts: 2, backoffMs: 500, maxBackoffMs: 5000, ...backend.retry },
+            breaker: { failureThreshold: 3, resetTimeoutMs: 30000, ...backend.circuitBreaker },
+            failures: 0,
+            openedAt: null,
+            probing: false
+        }));
+    }
+
+    /** The backend the next request goes to first. */
+    get active(): LLMProvider {
+        return (this.backends.find(backend => this.isAvailable(backend)) || this.backends[0]).provider;
+    }
+
+    get model(): string {
+        return this.active.model;
+    }
+
+    get format(): LLMProvider['format'] {
+        return this.active.format;
+    }
+
+    async generate(prompt: string, options?: LLMCallOptions): Promise<string> {
+        return (await this.stream({ prompt }, () => { }, options)).content;
+    }
+
+    async chat(messages: ChatMessage[], options?: LLMCallOptions): Promise<LLMResult> {
+        return this.stream({ messages }, () => { }, options);
+    }
+
+    async stream(request: LLMRequest, onToken: (text: string) => void, options: LLMCallOptions = {}): Promise<LLMResult> {
+        const format = this.format;
+        let streamed = false;
+        const trackedToken = (text: string) => {
+            streamed = true;
+            onToken(text);
+        };
+
+        let lastError: Error | undefined;
+        for (const [index, backend] of this.backends.entries()) {
+            if (!this.isAvailable(backend)) {
+                lastError ||= new Error(`${backend.name} is unavailable (circuit open)`);
+                continue;
+            }
+            if (index > 0) {
+                options.onFallback?.({ backend: backend.name, model: backend.provider.model, reason: lastError?.message || 'primary backend unavailable' });
+            }
+
+            const backendRequest = backend.provider.format !== format && options.render ? options.render(backend.provider.format) : request;
+            // While the circuit is half-open, this request is the probe and everyone else fails over
+            const probe = backend.openedAt !== null;
+            if (probe) backend.probing = true;
+            try {
+                for (let attempt = 1; attempt <= backend.retry.attempts; attempt++) {
+                    try {
+                        const result = await backend.provider.stream(backendRequest, trackedToken, options);
+                        backend.failures = 0;
+                        backend.openedAt = null;
+                        return result;
+                    } catch (error: any) {
+                        if (options.signal?.aborted || this.isClientError(error)) throw error;
+                        lastError = error;
+                        if (streamed) {
+                            this.recordFailure(backend, error);
+                            throw error;
+                        }
+                        if (attempt < backend.retry.attempts) {
+                            await new Promise(resolve => setTimeout(resolve, Math.min(backend.retry.backoffMs * 2 ** (attempt - 1), backend.retry.maxBackoffMs)));
+                        }
+                    }
+                }
+            } finally {
+                if (probe) backend.probing = false;
+            }
+            this.recordFailure(backend, lastError!);
+            console.warn(`⚠️  LLM backend ${backend.name} failed: ${lastError!.message}`);
+        }
+        throw new Error(`All LLM backends failed. Last error: ${lastError?.message}`);
+    }
+
+    async embed(texts: string[]): Promise<number[][]> {
+        return this.active.embed(texts);
+    }
+
+    /** Circuit state of every backend, for health checks. */
+    getStatus() {
+        return {
+            active: this.backends.find(backend => this.isAvailable(backend))?.name || null,
+            backends: this.backends.map(backend => ({
+                name: backend.name,
+                provider: backend.provider.name,
+                model: backend.provider.model,
+                circuit: backend.openedAt === null ? 'closed' : backend.probing || this.isAvailable(backend) ? 'half-open' : 'open',
+                failures: backend.failures,
+                lastError: backend.lastError
+            }))
+        };
+    }
+
+    private isAvailable(backend: BackendState): boolean {
+        if (backend.openedAt === null) return true;
+        return !backend.probing && Date.now() - backend.openedAt >= backend.breaker.resetTimeoutMs;
+    }
+
+    private isClientError(error: any): boolean {
+        return error instanceof LLMAPIError && error.status >= 400 && error.status < 500 && ![404, 408, 429].includes(error.status);
+    }
+
+    private recordFailure(backend: BackendState, error: Error) {
+        backend.failures++;
+        backend.lastError = error.message;
+        // A failed half-open probe reopens the circuit straight away
+        if (backend.failures >= backend.breaker.failureThreshold || backend.openedAt !== null) {
+            if (backend.openedAt === null) console.warn(`🔌 Circuit opened for LLM backend ${backend.name}`);
+            backend.openedAt = Date.now();
+        }
+    }
+}
@@ -0,0 +1,412 @@
+import { parentPort, workerData } from "worker_threads";
+import vm from "vm";
+import fs from "fs";
+import path from "path";
+
+/*
+ * Worker-thread side of a script function, started by `runSandboxedScript` in framework.ts. The
+ * handler source is evaluated in a fresh `vm` context whose globals are all built inside it by
+ * `prelude`, so no object from the worker's own realm (whose `Function` could reach `process`) is
+ * ever visible to the script. The context talks to the worker through a single `host` function
+ * that takes and returns only primitives; async work (timers, fetch, fs) is answered later through
+ * `deliver`. Console, progress and the result go back to the main thread as messages.
+ */
+
+/** The sandbox's only way out: every argument is a primitive and the reply is `{ value }` or `{ error }` as JSON. */
+type SandboxHost = (operation: string, ...params: any[]) => string;
+/** Returned by `prelude`: `deliver` answers async work by id, `start` runs the handler. */
+type SandboxEntryPoints = [deliver: (id: number, reply: string) => void, start: (handler: Function, argsJson?: string) => void];
+
+const { source, args, capabilities, fsRoot }: { source: string; args: any; capabilities: string[]; fsRoot?: string } = workerData;
+const send = (message: any) => parentPort!.postMessage(message);
+
+// Runs inside the context: its source is compiled there, so everything it creates belongs to the sandbox
+function prelude(host: SandboxHost, capabilitiesJson: string): SandboxEntryPoints {
+    'use strict';
+    // Captured before the handler runs, so replacing globals or prototypes cannot change them
+    const { parse, stringify } = JSON;
+    const { apply } = Reflect;
+    const { then } = Promise.prototype;
+    const { fromCharCode } = String;
+    const settled = Promise.resolve();
+    Object.defineProperty(settled, 'constructor', { value: undefined });
+    // Work started by the worker runs as a microtask, never with worker frames on the stack
+    const later = (task: () => unknown) => apply(then, settled, [task]);
+
+    const listeners: Record<number, (reply: string) => void> = Object.create(null);
+    const timers: Record<number, () => void> = Object.create(null);
+    let nextId = 1;
+
+    const call = (operation: string, ...params: any[]): any => {
+        const { value, error } = parse(host(operation, ...params));
+        if (error !== undefined) throw new Error(error);
+        return value;
+    };
+    const pending = (operation: string, ...params: any[]) => new Promise<any>((resolve, reject) => {
+        const id = nextId++;
+        listeners[id] = (reply) => {
+            delete listeners[id];
+            const { value, error } = parse(reply);
+            if (error !== undefined) reject(new Error(error));
+            else resolve(value);
+        };
+        call(operation, id, ...params);
+    });
+
+    const toBinary = (bytes: Uint8Array) => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += apply(fromCharCode, null, bytes.subarray(i, i + 0x8000));
+        return binary;
+    };
+    const fromBinary = (binary: string) => {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    };
+    const asBytes = (input: unknown) => {
+        if (input instanceof ArrayBuffer) return new Uint8Array(input);
+        if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        throw new TypeError('Expected an ArrayBuffer or a typed array');
+    };
+
+    const format = (value: unknown): string => {
+        try {
+            if (typeof value === 'string') return value;
+            if (value instanceof Error) return value.stack || String(value);
+            if (typeof value === 'function') return '[Function: ' + (value.name || 'anonymous') + ']';
+            if (typeof value === 'object' && value !== null) return stringify(value);
+            return String(value);
+        } catch {
+            return Object.prototype.toString.call(value);
+        }
+    };
+    const log = (level: string) => (...values: unknown[]) => { call('console', level, values.map(format).join(' ')); };
+    const console = { log: log('log'), info: log('info'), warn: log('warn'), error: log('error'), debug: log('debug') };
+    const progress = (message: unknown, percent?: unknown) => { call('progress', String(message), percent === undefined ? undefined : Number(percent)); };
+    const partial = (data: unknown) => { call('partial', stringify(data)); };
+
+    const timer = (repeat: boolean) => (callback: (...params: any[]) => void, ms?: unknown, ...params: any[]) => {
+        const id = nextId++;
+        timers[id] = () => {
+            if (!repeat) delete timers[id];
+            callback(...params);
+        };
+        call('setTimer', id, Number(ms) || 0, repeat);
+        return id;
+    };
+    const clearTimer = (id: number) => {
+        if (!timers[id]) return;
+        delete timers[id];
+        call('clearTimer', id);
+    };
+
+    const formEncode = (text: string) => encodeURIComponent(text).replace(/%20/g, '+').replace(/[!'()~]/g, (char) => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    const formDecode = (text: string) => {
+        const spaced = text.replace(/[+]/g, ' ');
+        try {
+            return decodeURIComponent(spaced);
+        } catch {
+            return spaced;
+        }
+    };
+
+    let watchSearchParams: (params: URLSearchParams, onChange: (query: string) => void) => void;
+    class URLSearchParams {
+        #list: [string, string][] = [];
+        #onChange: ((query: string) => void) | null = null;
+        static {
+            watchSearchParams = (params, onChange) => { params.#onChange = onChange; };
+        }
+        constructor(init: any = '') {
+            if (typeof init === 'string') {
+                this.#list = init.replace(/^[?]/, '').split('&').filter(Boolean).map((pair): [string, string] => {
+                    const at = pair.indexOf('=');
+                    return at < 0 ? [formDecode(pair), ''] : [formDecode(pair.slice(0, at)), formDecode(pair.slice(at + 1))];
+                });
+            } else if (init instanceof URLSearchParams || typeof init[Symbol.iterator] === 'function') {
+                for (const [name, value] of init) this.#list.push([String(name), String(value)]);
+            } else {
+                for (const name of Object.keys(init)) this.#list.push([name, String(init[name])]);
+            }
+        }
+        #changed() {
+            if (this.#onChange) this.#onChange(this.toString());
+        }
+        get size() { return this.#list.length; }
+        append(name: unknown, value: unknown) {
+            this.#list.push([String(name), String(value)]);
+            this.#changed();
+        }
+        delete(name: unknown) {
+            this.#list = this.#list.filter(([key]) => key !== String(name));
+            this.#changed();
+        }
+        get(name: unknown) {
+            const entry = this.#list.find(([key]) => key === String(name));
+            return entry ? entry[1] : null;
+        }
+        getAll(name: unknown) { return this.#list.filter(([key]) => key === String(name)).map(([, value]) => value); }
+        has(name: unknown) { return this.#list.some(([key]) => key === String(name)); }
+        set(name: unknown, value: unknown) {
+            const key = String(name);
+            let found = false;
+            this.#list = this.#list.flatMap<[string, string]>(entry => entry[0] !== key ? [entry] : found ? [] : (found = true, [[key, String(value)]]));
+            if (!found) this.#list.push([key, String(value)]);
+            this.#changed();
+        }
+        sort() {
+            this.#list.sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0);
+            this.#changed();
+        }
+        forEach(callback: (value: string, name: string, params: URLSearchParams) => void, thisArg?: unknown) {
+            for (const [name, value] of this.#list) callback.call(thisArg, value, name, this);
+        }
+        keys() { return this.#list.map(([name]) => name)[Symbol.iterator](); }
+        values() { return this.#list.map(([, value]) => value)[Symbol.iterator](); }
+        entries() { return this.#list.map(([name, value]) => [name, value])[Symbol.iterator](); }
+        [Symbol.iterator]() { return this.entries(); }
+        toString() { return this.#list.map(([name, value]) => formEncode(name) + '=' + formEncode(value)).join('&'); }
+    }
+
+    // Parsed by the worker's URL; setters re-parse, and searchParams edits update the search
+    class URL {
+        #parts!: { bare: string; origin: string; protocol: string; username: string; password: string; host: string; hostname: string; port: string; pathname: string; search: string; hash: string };
+        #searchParams!: URLSearchParams;
+        constructor(input: unknown, base?: unknown) {
+            this.#parse(String(input), base === undefined ? undefined : String(base));
+        }
+        #parse(input: string, base?: string) {
+            this.#parts = call('url', input, base);
+            this.#searchParams = new URLSearchParams(this.#parts.search);
+            watchSearchParams(this.#searchParams, (query) => { this.#parts.search = query ? '?' + query : ''; });
+        }
+        get href() { return this.#parts.bare + this.#parts.search + this.#parts.hash; }
+        set href(value: unknown) { this.#parse(String(value)); }
+        get origin() { return this.#parts.origin; }
+        get protocol() { return this.#parts.protocol; }
+        get username() { return this.#parts.username; }
+        get password() { return this.#parts.password; }
+        get host() { return this.#parts.host; }
+        get hostname() { return this.#parts.hostname; }
+        get port() { return this.#parts.port; }
+        get pathname() { return this.#parts.pathname; }
+        get search() { return this.#parts.search; }
+        set search(value: unknown) {
+            const query = String(value).replace(/^[?]/, '');
+            this.#parse(this.#parts.bare + (query ? '?' + query : '') + this.#parts.hash);
+        }
+        get hash() { return this.#parts.hash; }
+        set hash(value: unknown) {
+            const fragment = String(value).replace(/^#/, '');
+            this.#parse(this.#parts.bare + this.#parts.search + (fragment ? '#' + fragment : ''));
+        }
+        get searchParams() { return this.#searchParams; }
+        toString() { return this.href; }
+        toJSON() { return this.href; }
+        static canParse(input: unknown, base?: unknown) {
+            try {
+                new URL(input, base);
+                return true;
+            } catch {
+                return false;
+            }
+        }
+    }
+
+    class TextEncoder {
+        get encoding() { return 'utf-8'; }
+        encode(text: unknown = '') { return fromBinary(call('encode', String(text))); }
+    }
+    class TextDecoder {
+        constructor(label: unknown = 'utf-8') {
+            if (!/^utf-?8$/i.test(String(label).trim())) throw new RangeError('Only utf-8 is supported, not ' + label);
+        }
+        get encoding() { return 'utf-8'; }
+        decode(input?: unknown) { return input === undefined ? '' : call('decode', toBinary(asBytes(input))); }
+    }
+    const btoa = (data: unknown) => call('btoa', String(data));
+    const atob = (data: unknown) => call('atob', String(data));
+
+    class Headers {
+        #map = new Map<string, string>();
+        constructor(init?: any) {
+            if (!init) return;
+            const pairs = init instanceof Headers || typeof init[Symbol.iterator] === 'function' ? init : Object.entries(init);
+            for (const [name, value] of pairs) this.append(name, value);
+        }
+        append(name: unknown, value: unknown) {
+            const key = String(name).toLowerCase();
+            const prior = this.#map.get(key);
+            this.#map.set(key, prior === undefined ? String(value) : prior + ', ' + value);
+        }
+        set(name: unknown, value: unknown) { this.#map.set(String(name).toLowerCase(), String(value)); }
+        get(name: unknown) { return this.#map.get(String(name).toLowerCase()) ?? null; }
+        has(name: unknown) { return this.#map.has(String(name).toLowerCase()); }
+        delete(name: unknown) { this.#map.delete(String(name).toLowerCase()); }
+        forEach(callback: (value: string, name: string, headers: Headers) => void, thisArg?: unknown) {
+            for (const [name, value] of this) callback.call(thisArg, value, name, this);
+        }
+        keys() { return [...this].map(([name]) => name)[Symbol.iterator](); }
+        values() { return [...this].map(([, value]) => value)[Symbol.iterator](); }
+        entries(): IterableIterator<[string, string]> { return [...this.#map].sort(([a], [b]) => a < b ? -1 : 1)[Symbol.iterator](); }
+        [Symbol.iterator]() { return this.entries(); }
+    }
+
+    // The body is read in full by the worker before fetch resolves
+    class Response {
+        status: number;
+        statusText: string;
+        ok: boolean;
+        url: string;
+        redirected: boolean;
+        headers: Headers;
+        #body: string;
+        constructor(reply: any) {
+            this.status = reply.status;
+            this.statusText = reply.statusText;
+            this.ok = reply.status >= 200 && reply.status < 300;
+            this.url = reply.url;
+            this.redirected = reply.redirected;
+            this.headers = new Headers(reply.headers);
+            this.#body = reply.body;
+        }
+        async arrayBuffer() { return fromBinary(this.#body).buffer; }
+        async text() { return call('decode', this.#body); }
+        async json() { return parse(await this.text()); }
+    }
+
+    const fetch = async (resource: unknown, init: any = {}) => {
+        const headers = new Headers(init.headers);
+        let body = init.body;
+        if (body instanceof URLSearchParams) {
+            if (!headers.has('content-type')) headers.set('content-type', 'application/x-www-form-urlencoded;charset=UTF-8');
+            body = String(body);
+        }
+        if (typeof body === 'string' && !headers.has('content-type')) headers.set('content-type', 'text/plain;charset=UTF-8');
+        const binary = body === undefined || body === null ? undefined : typeof body === 'string' ? call('encode', body) : toBinary(asBytes(body));
+        const request = { url: String(resource), method: init.method === undefined ? 'GET' : String(init.method), headers: [...headers], body: binary };
+        return new Response(await pending('fetch', stringify(request)));
+    };
+
+    const fs = {
+        readFile: async (file: unknown, encoding: string | null = 'utf8') => {
+            const content = await pending('readFile', String(file), encoding === null ? 'latin1' : String(encoding));
+            return encoding === null ? fromBinary(content) : content;
+        },
+        readdir: async (dir: unknown = '.') => pending('readdir', String(dir)),
+        stat: async (file: unknown) => pending('stat', String(file))
+    };
+
+    const capabilities: string[] = parse(capabilitiesJson);
+    const globals = {
+        console, progress, partial,
+        setTimeout: timer(false), clearTimeout: clearTimer, setInterval: timer(true), clearInterval: clearTimer,
+        URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa,
+        ...(capabilities.includes('fetch') && { fetch }),
+        ...(capabilities.includes('fs.read') && { fs })
+    };
+    Object.assign(globalThis, globals);
+
+    const deliver = (id: number, reply: string) => {
+        const listener: ((reply: string) => void) | undefined = listeners[id] || timers[id];
+        if (listener) later(() => listener(reply));
+    };
+    const start = (handler: Function, argsJson?: string) => later(async () => {
+        try {
+            const input = argsJson === undefined ? undefined : parse(argsJson);
+            const result = await handler.call({ args: input, ...globals }, input, { progress, partial });
+            call('result', result === undefined ? undefined : stringify(result));
+        } catch (error: any) {
+            call('error', String(error && error.message || error), error && error.stack !== undefined ? String(error.stack) : undefined);
+        }
+    });
+    return [deliver, start];
+}
+
+// Worker side of the bridge: every argument and return value is a primitive or a JSON string
+const root = capabilities.includes('fs.read') ? fs.realpathSync(fsRoot!) : undefined;
+const inside = async (file: string) => {
+    if (!root) throw new Error('fs.read is not granted');
+    const full = await fs.promises.realpath(path.resolve(root, file));
+    if (full !== root && !full.startsWith(root + path.sep)) throw new Error('Path is outside the readable directory: ' + file);
+    return full;
+};
+const timers = new Map<number, NodeJS.Timeout>();
+let deliver: (id: number, reply: string) => void;
+const settle = (id: number, work: () => Promise<unknown>) => {
+    work().then(value => JSON.stringify({ value }), error => JSON.stringify({ error: String(error && error.message || error) })).then(reply => deliver(id, reply));
+};
+const operations: Record<string, (...params: any[]) => unknown> = {
+    console: (level, text) => send({ type: 'console', level: String(level), text: String(text) }),
+    progress: (message, percent) => send({ type: 'progress', message: String(message), percent: typeof percent === 'number' ? percent : undefined }),
+    partial: (data) => send({ type: 'partial', data: data === undefined ? undefined : JSON.parse(data) }),
+    result: (result) => send({ type: 'result', result: result === undefined ? undefined : JSON.parse(result) }),
+    error: (message, stack) => send({ type: 'error', message: String(message), stack: stack === undefined ? undefined : String(stack) }),
+    setTimer: (id, ms, repeat) => {
+        timers.set(id, (repeat ? setInterval : setTimeout)(() => {
+            if (!repeat) timers.delete(id);
+            deliver(id, '{}');
+        }, ms));
+    },
+    clearTimer: (id) => {
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+    },
+    url: (input, base) => {
+        const url = new URL(input, base);
+        const bare = new URL(url.href);
+        bare.search = '';
+        bare.hash = '';
+        const { origin, protocol, username, password, host, hostname, port, pathname, search, hash } = url;
+        return { bare: bare.href, origin, protocol, username, password, host, hostname, port, pathname, search, hash };
+    },
+    encode: (text) => Buffer.from(String(text), 'utf8').toString('latin1'),
+    decode: (binary) => {
+        const text = Buffer.from(String(binary), 'latin1').toString('utf8');
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    },
+    btoa: (data) => {
+        if (Buffer.from(data, 'latin1').toString('latin1') !== data) throw new Error('Invalid character');
+        return Buffer.from(data, 'latin1').toString('base64');
+    },
+    atob: (data) => Buffer.from(data, 'base64').toString('latin1'),
+    fetch: (id, request) => {
+        if (!capabilities.includes('fetch')) throw new Error('fetch is not granted');
+        settle(id, async () => {
+            const { url, method, headers, body } = JSON.parse(request);
+            const response = await fetch(url, { method, headers, body: body === undefined ? undefined : Buffer.from(body, 'latin1') });
+            const content = Buffer.from(await response.arrayBuffer()).toString('latin1');
+            return { status: response.status, statusText: response.statusText, url: response.url, redirected: response.redirected, headers: [...response.headers], body: content };
+        });
+    },
+    readFile: (id, file, encoding) => settle(id, async () => fs.promises.readFile(await inside(file), encoding)),
+    readdir: (id, dir) => settle(id, async () => fs.promises.readdir(await inside(dir))),
+    stat: (id, file) => settle(id, async () => {
+        const stats = await fs.promises.stat(await inside(file));
+        return { size: stats.size, isFile: stats.isFile(), isDirectory: stats.isDirectory(), modified: stats.mtime.toISOString() };
+    })
+};
+const primitive = (value: unknown) => value === null || (typeof value !== 'object' && typeof value !== 'function');
+// Never throws: a worker-realm error reaching the sandbox would expose the worker's Function
+function host(operation: unknown, ...params: unknown[]): string {
+    try {
+        if (typeof operation !== 'string' || !Object.hasOwn(operations, operation) || !params.every(primitive)) throw new Error('Invalid sandbox call');
+        return JSON.stringify({ value: operations[operation](...params) });
+    } catch (error: any) {
+        return JSON.stringify({ error: String(error && error.message || error) });
+    }
+}
+
+try {
+    const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+    const [deliverReply, start] = vm.runInContext('(' + prelude + ')', context)(host, JSON.stringify(capabilities));
+    deliver = deliverReply;
+    // import() would otherwise reject with a worker-realm error
+    const script = new vm.Script('(' + source + ')', {
+        filename: 'script-function.js',
+        importModuleDynamically: () => { throw vm.runInContext('new Error("import() is not available to script functions")', context); }
+    });
+    start(script.runInContext(context), args === undefined ? undefined : JSON.stringify(args));
+} catch (error: any) {
+    send({ type: 'error', message: String(error && error.message || error), stack: error && error.stack !== undefined ? String(error.stack) : undefined });
+}
@@ -0,0 +1,197 @@
+import fs from "fs";
+import path from "path";
+
+export interface StorageConfig {
+    type: 'memory' | 'json' | 'sqlite';
+    path?: string;
+}
+
+/**
+ * Namespaced key/value store behind conversations, API keys, sessions and other per-user data.
+ * Values must be JSON-serializable. Dates survive a round trip through every adapter in the
+ * fields listed in `DATE_FIELDS`; anywhere else they come back as ISO strings.
+ */
+export interface StorageAdapter {
+    init(): Promise<void>;
+    get<T>(namespace: string, key: string): Promise<T | undefined>;
+    set<T>(namespace: string, key: string, value: T): Promise<void>;
+    delete(namespace: string, key: string): Promise<boolean>;
+    entries<T>(namespace: string): Promise<[string, T][]>;
+    close(): Promise<void>;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/** Properties that hold dates in stored records; other strings are left alone, however date-like. */
+const DATE_FIELDS = new Set(['created', 'updated', 'timestamp', 'lastAccess', 'expiresAt', 'lastUsed', 'rotated']);
+
+function serialize(value: any): string {
+    return JSON.stringify(value);
+}
+
+function deserialize<T>(text: string): T {
+    return JSON.parse(text, (key, value) => DATE_FIELDS.has(key) && typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+}
+
+export class MemoryStorage implements StorageAdapter {
+    protected data = new Map<string, Map<string, string>>();
+
+    async init() { }
+
+    async get<T>(namespace: string, key: string): Promise<T | undefined> {
+        const value = this.data.get(namespace)?.get(key);
+        return value === undefined ? undefined : deserialize<T>(value);
+    }
+
+    async set<T>(namespace: string, key: string, value: T) {
+        if (!this.data.has(namespace)) this.data.set(namespace, new Map());
+        this.data.get(namespace)!.set(key, serialize(value));
+    }
+
+    async delete(namespace: string, key: string): Promise<boolean> {
+        return this.data.get(namespace)?.delete(key) ?? false;
+    }
+
+    async entries<T>(namespace: string): Promise<[string, T][]> {
+        return Array.from(this.data.get(namespace) || []).map(([key, value]) => [key, deserialize<T>(value)]);
+    }
+
+    async close() { }
+}
+
+/** Keeps everything in memory and rewrites a single JSON file (atomically) after each change. */
+export class JsonFileStorage extends MemoryStorage {
+    private filePath: string;
+    private pendingWrite: Promise<void> = Promise.resolve();
+
+    constructor(filePath: string) {
+        super();
+        this.filePath = path.resolve(filePath);
+    }
+
+    async init() {
+        if (!fs.existsSync(this.filePath)) return;
+        const stored = deserialize<Record<string, Record<string, any>>>(await fs.promises.readFile(this.filePath, 'utf8'));
+        for (const [namespace, values] of Object.entries(stored)) {
+            for (const [key, value] of Object.entries(values)) await super.set(namespace, key, value);
+        }
+    }
+
+    async set<T>(namespace: string, key: string, value: T) {
+        await super.set(namespace, key, value);
+        await this.flush();
+    }
+
+    async delete(namespace: string, key: string): Promise<boolean> {
+        const deleted = await super.delete(namespace, key);
+        if (deleted) await this.flush();
+        return deleted;
+    }
+
+    async close() {
+        await this.pendingWrite;
+    }
+
+    private flush(): Promise<void> {
+        // Writes are chained so concurrent changes never interleave on disk
+        this.pendingWrite = this.pendingWrite.then(async () => {
+            const snapshot: Record<string, Record<string, any>> = {};
+            for (const namespace of this.data.keys()) {
+                snapshot[namespace] = Object.fromEntries(await this.entries(namespace));
+            }
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, serialize(snapshot));
+            await fs.promises.rename(tempPath, this.filePath);
+        }).catch(error => console.error('JSON storage write failed:', error));
+        return this.pendingWrite;
+    }
+}
+
+/**
+ * Schema migrations for SqliteStorage, applied in order and recorded in `schema_migrations`.
+ * Append new entries; never edit one that has shipped.
+ */
+const SQLITE_MIGRATIONS: { version: number; sql: string }[] = [
+    {
+        version: 1,
+        sql: `CREATE TABLE kv (
+            namespace TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (namespace, key)
+        )`
+    }
+];
+
+/** SQLite-backed storage using the optional `better-sqlite3` package. */
+export class SqliteStorage implements StorageAdapter {
+    private filePath: string;
+    private db: any;
+
+    constructor(filePath: string) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    async init() {
+        let Database: any;
+        try {
+            Database = (await import('better-sqlite3')).default;
+        } catch (error) {
+            throw new Error('SQLite storage requires the "better-sqlite3" package to be installed');
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.migrate();
+    }
+
+    private migrate() {
+        this.db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)');
+        const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map((row: any) => row.version));
+
+        for (const migration of SQLITE_MIGRATIONS) {
+            if (applied.has(migration.version)) continue;
+            this.db.transaction(() => {
+                this.db.exec(migration.sql);
+                this.db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)').run(migration.version, new Date().toISOString());
+            })();
+            console.log(`🗄️  Applied storage migration ${migration.version}`);
+        }
+    }
+
+    async get<T>(namespace: string, key: string): Promise<T | undefined> {
+        const row = this.db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ?').get(namespace, key);
+        return row ? deserialize<T>(row.value) : undefined;
+    }
+
+    async set<T>(namespace: string, key: string, value: T) {
+        this.db.prepare(`INSERT INTO kv (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+            .run(namespace, key, serialize(value), new Date().toISOString());
+    }
+
+    async delete(namespace: string, key: string): Promise<boolean> {
+        return this.db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?').run(namespace, key).changes > 0;
+    }
+
+    async entries<T>(namespace: string): Promise<[string, T][]> {
+        return this.db.prepare('SELECT key, value FROM kv WHERE namespace = ? ORDER BY key').all(namespace)
+            .map((row: any) => [row.key, deserialize<T>(row.value)]);
+    }
+
+    async close() {
+        this.db?.close();
+    }
+}
+
+export function createStorage(config: StorageConfig): StorageAdapter {
+    switch (config.type) {
+        case 'memory': return new MemoryStorage();
+        case 'json': return new JsonFileStorage(config.path || './data/corticalai.json');
+        case 'sqlite': return new SqliteStorage(config.path || './data/corticalai.db');
+        default: throw new Error(`Unknown storage type: ${(config as any).type}`);
+    }
+}
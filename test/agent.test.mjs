@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../dist/index.js';
+import { startFramework, chat, request } from './helpers.mjs';
+
+const add = {
+    type: 'script',
+    unsafeInProcess: true,
+    description: 'Add two numbers',
+    parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    handler: async ({ a, b }) => a + b
+};
+
+/** Like `add`, but takes longer the larger `a` is, so concurrent calls finish out of order. */
+const slowAdd = { ...add, handler: async ({ a, b }) => new Promise(resolve => setTimeout(() => resolve(a + b), a * 20)) };
+
+const config = (llm, extra = {}) => ({ llm, security: { allowScripts: true }, functions: { add, slowAdd }, ...extra });
+
+test('agent loop runs a text-pattern call and answers from its result', async (t) => {
+    const { framework, url } = await startFramework(config({ mockResponses: ['FUNCTION:add:{"a": 2, "b": 3}', 'The sum is 5.'] }));
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'What is 2 + 3?');
+    const result = events.find(event => event.type === 'function_result');
+    assert.deepEqual(result.data, { success: true, result: 5 });
+    assert.equal(events.filter(event => event.type === 'token').map(event => event.text).join(''), 'The sum is 5.');
+    assert.equal(events.at(-1).type, 'done');
+
+    const secondPrompt = framework.provider.requests[1].request.prompt;
+    assert.match(secondPrompt, /Function add called with \{"a":2,"b":3\} returned: \{"success":true,"result":5\}/);
+});
+
+test('results of concurrent calls are added to the history in call order', async (t) => {
+    const { framework, url } = await startFramework(config({ mockResponses: ['FUNCTION:slowAdd:{"a": 5, "b": 0}\nFUNCTION:slowAdd:{"a": 1, "b": 0}', 'Done.'] }));
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Add twice');
+    assert.deepEqual(events.filter(event => event.type === 'function_result').map(event => event.data.result), [1, 5]);
+
+    const prompt = framework.provider.requests[1].request.prompt;
+    const first = prompt.indexOf('Function slowAdd called with {"a":5,"b":0} returned: {"success":true,"result":5}');
+    const second = prompt.indexOf('Function slowAdd called with {"a":1,"b":0} returned: {"success":true,"result":1}');
+    assert.ok(first !== -1 && second !== -1 && first < second);
+});
+
+test('native tool calls in one turn all run and report under their call ids', async (t) => {
+    const provider = new MockProvider([
+        { toolCalls: [{ name: 'slowAdd', arguments: { a: 3, b: 4 } }, { name: 'missing', arguments: {} }, { name: 'add', arguments: { a: 1, b: 2 } }] },
+        'Both done.'
+    ], { format: 'openai' });
+    const { framework, url } = await startFramework(config({ provider }));
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Add 1+2 and 3+4');
+    const calls = events.filter(event => event.type === 'function_call');
+    const results = events.filter(event => event.type === 'function_result');
+    assert.deepEqual(calls.map(call => call.callId), ['call_mock_0_0', 'call_mock_0_2']);
+    assert.deepEqual(results.map(result => [result.callId, result.data.result]), [['call_mock_0_2', 3], ['call_mock_0_0', 7]]);
+
+    const toolMessages = provider.requests[1].request.messages.filter(message => message.role === 'tool');
+    assert.deepEqual(toolMessages.map(message => message.tool_call_id), ['call_mock_0_0', 'call_mock_0_1', 'call_mock_0_2']);
+    assert.deepEqual(JSON.parse(toolMessages[1].content), { success: false, error: 'Function missing not found' });
+});
+
+test('agent loop stops after agent.maxSteps model turns with calls', async (t) => {
+    const { framework, url } = await startFramework(config({ mockResponses: () => 'FUNCTION:add:{"a": 1, "b": 1}' }, { agent: { maxSteps: 2 } }));
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Keep adding');
+    assert.equal(events.filter(event => event.type === 'function_result').length, 2);
+    assert.ok(events.some(event => event.type === 'status' && /Stopped after 2/.test(event.text)));
+});
+
+test('a directly called function can be answered in natural language', async (t) => {
+    const { framework, url } = await startFramework(config({ mockResponses: ['Two plus three is five.'] }, { agent: { synthesizeResults: true } }));
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'FUNCTION:add:{"a": 2, "b": 3}');
+    assert.deepEqual(events.find(event => event.type === 'function_result').data, { success: true, result: 5 });
+    assert.equal(events.filter(event => event.type === 'token').map(event => event.text).join(''), 'Two plus three is five.');
+    assert.match(framework.provider.requests[0].request.prompt, /"result": 5/);
+});
+
+test('conversations keep their history and can be continued, listed and deleted', async (t) => {
+    const { framework, url } = await startFramework(config({ mockResponses: ['Hi Ada.', 'You are Ada.'] }));
+    t.after(() => framework.stop());
+
+    const first = await chat(url, 'My name is Ada');
+    const { conversationId } = first.events.find(event => event.type === 'conversation');
+    await chat(url, { message: 'What is my name?', conversationId });
+    assert.match(framework.provider.requests[1].request.prompt, /My name is Ada[\s\S]*Hi Ada\.[\s\S]*What is my name\?/);
+
+    const { body } = await request(url, `/api/v1/conversations/${conversationId}`);
+    assert.deepEqual(body.conversation.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.equal((await request(url, '/api/v1/conversations')).body.conversations[0].title, 'My name is Ada');
+
+    assert.equal((await request(url, `/api/v1/conversations/${conversationId}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await request(url, `/api/v1/conversations/${conversationId}`)).status, 404);
+    assert.equal((await chat(url, { message: 'Hello?', conversationId })).status, 404);
+});
+
+test('older turns are summarized once a conversation outgrows its token budget', async (t) => {
+    const responses = (request) => /^Summarize the conversation/.test(request.prompt) ? 'SUMMARY: the user talked about llamas.' : 'Noted.';
+    const { framework, url } = await startFramework(config({ mockResponses: responses }, {
+        context: { defaultBudget: 450, reserveTokens: 0, keepRecentTurns: 2, summaryMaxTokens: 50 }
+    }));
+    t.after(() => framework.stop());
+
+    let conversationId;
+    for (let i = 0; i < 4; i++) {
+        const { events } = await chat(url, { message: `Fact ${i} about llamas: ${'wool '.repeat(60)}`, conversationId });
+        conversationId = events.find(event => event.type === 'conversation').conversationId;
+    }
+
+    const prompts = framework.provider.requests.map(entry => entry.request.prompt);
+    assert.ok(prompts.some(prompt => prompt.startsWith('Summarize the conversation')));
+    assert.match(prompts.at(-1), /SUMMARY OF EARLIER CONVERSATION:\nSUMMARY: the user talked about llamas\./);
+    assert.doesNotMatch(prompts.at(-1), /Fact 0 about llamas/);
+
+    const { body } = await request(url, `/api/v1/conversations/${conversationId}`);
+    assert.equal(body.conversation.summary, 'SUMMARY: the user talked about llamas.');
+    assert.equal(body.conversation.turns.length, 8);
+});
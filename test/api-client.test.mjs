@@ -0,0 +1,255 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { htmlToText, parseXml, parseCsv } from '../dist/index.js';
+import { startFramework, callFunction, request, startServer, json } from './helpers.mjs';
+
+/** An API function pointed at `path` on a local server; the model-facing arguments are ignored. */
+const api = (server, path, options = {}) => ({
+    type: 'api',
+    endpoint: `${server.url}${path}`,
+    description: `Calls ${path}`,
+    ...options
+});
+
+test('declared credentials are sent with every request', async (t) => {
+    const seen = [];
+    const server = await startServer((req, res) => {
+        seen.push({ url: req.url, authorization: req.headers.authorization, key: req.headers['x-api-key'] });
+        json(res, 200, { ok: true });
+    });
+    const { framework, url } = await startFramework({
+        functions: {
+            bearer: api(server, '/b', { auth: { type: 'bearer', token: 'tok' } }),
+            basic: api(server, '/c', { auth: { type: 'basic', username: 'svc', password: 'pw' } }),
+            header: api(server, '/d', { auth: { type: 'apiKey', name: 'X-API-Key', value: 'k1' } }),
+            query: api(server, '/e', { auth: { type: 'apiKey', name: 'key', value: 'k2', in: 'query' } })
+        }
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    for (const name of ['bearer', 'basic', 'header', 'query']) assert.deepEqual(await callFunction(url, name, {}), { ok: true });
+    assert.deepEqual(seen, [
+        { url: '/b', authorization: 'Bearer tok', key: undefined },
+        { url: '/c', authorization: `Basic ${Buffer.from('svc:pw').toString('base64')}`, key: undefined },
+        { url: '/d', authorization: undefined, key: 'k1' },
+        { url: '/e?key=k2', authorization: undefined, key: undefined }
+    ]);
+});
+
+test('OAuth2 tokens are cached and fetched again after a 401', async (t) => {
+    const tokenRequests = [];
+    let issued = 0;
+    let revoked = null;
+    const server = await startServer((req, res) => {
+        if (req.url === '/token') {
+            tokenRequests.push({ authorization: req.headers.authorization, body: Object.fromEntries(new URLSearchParams(req.body)) });
+            return json(res, 200, { access_token: `token-${++issued}`, expires_in: 3600 });
+        }
+        const token = req.headers.authorization?.slice('Bearer '.length);
+        if (token === revoked) return json(res, 401, { error: 'revoked' });
+        json(res, 200, { token });
+    });
+    const auth = { type: 'oauth2', tokenUrl: `${server.url}/token`, clientId: 'client', clientSecret: 'secret', scopes: ['reports.read'] };
+    const { framework, url } = await startFramework({ functions: { reports: api(server, '/reports', { auth }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'reports', {}), { token: 'token-1' });
+    assert.deepEqual(await callFunction(url, 'reports', {}), { token: 'token-1' });
+    assert.equal(tokenRequests.length, 1);
+    assert.equal(tokenRequests[0].authorization, `Basic ${Buffer.from('client:secret').toString('base64')}`);
+    assert.deepEqual(tokenRequests[0].body, { grant_type: 'client_credentials', scope: 'reports.read' });
+
+    revoked = 'token-1';
+    assert.deepEqual(await callFunction(url, 'reports', {}), { token: 'token-2' });
+    assert.equal(tokenRequests.length, 2);
+});
+
+test('retryable failures are retried, honouring Retry-After', async (t) => {
+    let calls = 0;
+    const server = await startServer((req, res) => {
+        calls++;
+        if (req.url === '/flaky' && calls < 3) return json(res, calls === 1 ? 503 : 429, { error: 'busy' }, { 'Retry-After': '0' });
+        if (req.url === '/missing') return json(res, 404, { error: 'nope' });
+        json(res, 200, { calls });
+    });
+    const retry = { attempts: 3, backoffMs: 5000, maxBackoffMs: 10000 };
+    const { framework, url } = await startFramework({
+        functions: { flaky: api(server, '/flaky', { retry }), missing: api(server, '/missing', { retry }) }
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    const events = [];
+    assert.deepEqual(await callFunction(url, 'flaky', {}, { onEvent: event => events.push(event) }), { calls: 3 });
+    assert.deepEqual(events.filter(event => event.type === 'function_progress').map(event => event.message), [
+        'HTTP 503: Service Unavailable; retrying in 0s (attempt 2 of 3)',
+        'HTTP 429: Too Many Requests; retrying in 0s (attempt 3 of 3)'
+    ]);
+
+    calls = 0;
+    assert.deepEqual(await callFunction(url, 'missing', {}), { success: false, error: 'HTTP 404: Not Found', status: 404 });
+    assert.equal(calls, 1);
+});
+
+test('each attempt is aborted after the function timeout', async (t) => {
+    const server = await startServer(async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        json(res, 200, {});
+    });
+    const { framework, url } = await startFramework({ functions: { slow: api(server, '/slow', { timeout: 50 }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'slow', {}), { success: false, error: 'Request timed out after 50ms' });
+});
+
+test('a token request that hangs is stopped after the function timeout', async (t) => {
+    const server = await startServer(async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        json(res, 200, { access_token: 'late' });
+    });
+    const auth = { type: 'oauth2', tokenUrl: `${server.url}/token`, clientId: 'client', clientSecret: 'secret' };
+    const { framework, url } = await startFramework({ functions: { reports: api(server, '/reports', { auth, timeout: 50 }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'reports', {}), { success: false, error: 'OAuth2 token request timed out after 50ms' });
+});
+
+test('form, multipart and text bodies are encoded with their content types', async (t) => {
+    const received = {};
+    const server = await startServer((req, res) => {
+        received[req.url] = { contentType: req.headers['content-type'], body: req.body };
+        json(res, 200, {});
+    });
+    const { framework, url } = await startFramework({
+        functions: {
+            form: api(server, '/form', { method: 'POST', bodyType: 'form', body: { q: 'a b', tag: ['x', 'y'] } }),
+            upload: api(server, '/upload', { method: 'POST', bodyType: 'multipart', body: { title: 'Q1', file: { data: 'a,b\n1,2', filename: 'q1.csv', contentType: 'text/csv' } } }),
+            note: api(server, '/note', { method: 'POST', bodyType: 'text', body: (args) => `note: ${args.text}`, parameters: { type: 'object', properties: { text: { type: 'string' } } } })
+        }
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    await callFunction(url, 'form', {});
+    await callFunction(url, 'upload', {});
+    await callFunction(url, 'note', { text: 'hi' });
+
+    assert.deepEqual(received['/form'], { contentType: 'application/x-www-form-urlencoded', body: 'q=a+b&tag=x&tag=y' });
+    assert.match(received['/upload'].contentType, /^multipart\/form-data; boundary=/);
+    assert.match(received['/upload'].body, /name="title"\r\n\r\nQ1\r\n/);
+    assert.match(received['/upload'].body, /name="file"; filename="q1.csv"\r\nContent-Type: text\/csv\r\n\r\na,b\n1,2\r\n/);
+    assert.deepEqual(received['/note'], { contentType: 'text/plain; charset=utf-8', body: 'note: hi' });
+});
+
+test('responses are parsed according to their content type', async (t) => {
+    const bodies = {
+        '/xml': ['application/xml', '<?xml version="1.0"?><items count="2"><item>a</item><item id="2">b &amp; c</item></items>'],
+        '/csv': ['text/csv', 'sku,quantity\nA1,3\nB2,12\n'],
+        '/html': ['text/html', '<html><head><style>p{}</style></head><body><h1>Title</h1><p>Hello&nbsp;world</p><script>x()</script></body></html>'],
+        '/text': ['text/plain', '{"not":"json"}']
+    };
+    const server = await startServer((req, res) => {
+        const [type, body] = bodies[req.url];
+        res.writeHead(200, { 'Content-Type': type }).end(body);
+    });
+    const { framework, url } = await startFramework({
+        functions: Object.fromEntries(Object.keys(bodies).map(path => [path.slice(1), api(server, path)]))
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'xml', {}), { items: { '@count': '2', item: ['a', { '@id': '2', '#text': 'b & c' }] } });
+    assert.deepEqual(await callFunction(url, 'csv', {}), [{ sku: 'A1', quantity: '3' }, { sku: 'B2', quantity: '12' }]);
+    assert.equal(await callFunction(url, 'html', {}), 'Title\n\nHello world');
+    assert.equal(await callFunction(url, 'text', {}), '{"not":"json"}');
+});
+
+/** A server that answers `/q?term=…` with the term and how many requests it has seen so far. */
+const countingServer = async () => {
+    let calls = 0;
+    return startServer((req, res) => json(res, 200, { term: new URL(req.url, 'http://x').searchParams.get('term'), calls: ++calls }));
+};
+const cachedApi = (server, cache) => api(server, '', {
+    endpoint: (args) => `${server.url}/q?term=${args.term}`,
+    parameters: { type: 'object', properties: { term: { type: 'string' } }, required: ['term'] },
+    cache
+});
+
+test('cached results are reused until they expire', async (t) => {
+    const server = await countingServer();
+    const { framework, url } = await startFramework({ functions: { search: cachedApi(server, { ttl: 150 }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 1, cached: false });
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 1, cached: true });
+    assert.deepEqual(await callFunction(url, 'search', { term: 'b' }), { term: 'b', calls: 2, cached: false });
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 3, cached: false });
+});
+
+test('the least recently used entry is evicted beyond maxEntries', async (t) => {
+    const server = await countingServer();
+    const { framework, url } = await startFramework({ functions: { search: cachedApi(server, { ttl: 60000, maxEntries: 2 }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    await callFunction(url, 'search', { term: 'a' });
+    await callFunction(url, 'search', { term: 'b' });
+    assert.equal((await callFunction(url, 'search', { term: 'a' })).cached, true);
+    await callFunction(url, 'search', { term: 'c' });
+
+    assert.equal((await callFunction(url, 'search', { term: 'a' })).cached, true);
+    assert.equal((await callFunction(url, 'search', { term: 'c' })).cached, true);
+    assert.deepEqual(await callFunction(url, 'search', { term: 'b' }), { term: 'b', calls: 4, cached: false });
+});
+
+test('a custom cacheKey decides which calls share an entry', async (t) => {
+    const server = await countingServer();
+    const cache = { ttl: 60000, cacheKey: (args) => args.term.toLowerCase() };
+    const { framework, url } = await startFramework({ functions: { search: cachedApi(server, cache) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'search', { term: 'Paris' }), { term: 'Paris', calls: 1, cached: false });
+    assert.deepEqual(await callFunction(url, 'search', { term: 'PARIS' }), { term: 'Paris', calls: 1, cached: true });
+});
+
+test('admins can purge a function\'s cache', async (t) => {
+    const server = await countingServer();
+    const { framework, url } = await startFramework({ functions: { search: cachedApi(server, { ttl: 60000 }), plain: api(server, '/q') } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    await callFunction(url, 'search', { term: 'a' });
+    await callFunction(url, 'search', { term: 'b' });
+    const purged = await request(url, '/api/v1/functions/search/cache', { method: 'DELETE' });
+    assert.equal(purged.status, 200);
+    assert.equal(purged.body.purged, 2);
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 3, cached: false });
+
+    assert.equal((await request(url, '/api/v1/functions/plain/cache', { method: 'DELETE' })).status, 404);
+    assert.equal((await request(url, '/api/v1/functions/missing/cache', { method: 'DELETE' })).status, 404);
+});
+
+test('an unreadable cache file is replaced by an empty cache', async (t) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'corticalai-cache-')), 'search.json');
+    fs.writeFileSync(file, '{ not json');
+    const server = await countingServer();
+    const { framework, url } = await startFramework({ functions: { search: cachedApi(server, { ttl: 60000, storage: 'file', path: file }) } });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 1, cached: false });
+    assert.deepEqual(await callFunction(url, 'search', { term: 'a' }), { term: 'a', calls: 1, cached: true });
+    assert.ok(fs.readFileSync(file, 'utf8').includes('"calls":1'));
+});
+
+test('the XML, CSV and HTML parsers handle the awkward cases', () => {
+    assert.deepEqual(parseXml('<!DOCTYPE a [<!ENTITY x "boom">]><a><!-- c --><b><![CDATA[<raw>]]></b><e/></a>'), { a: { b: '<raw>', e: '' } });
+    assert.throws(() => parseXml('<a><b></a>'), /expected <\/b>/);
+    assert.throws(() => parseXml('<a/><b/>'), /content after the root element/);
+    const items = Array.from({ length: 2000 }, (_, i) => `<item id="${i}">${i}</item>`).join('');
+    assert.deepEqual(parseXml(`<list>${items}</list>`).list.item.at(-1), { '@id': '1999', '#text': '1999' });
+
+    assert.deepEqual(parseCsv('name,quote\n"Smith, J","said ""hi""\nthen left"\n'), [{ name: 'Smith, J', quote: 'said "hi"\nthen left' }]);
+    assert.deepEqual(parseCsv('a;b\n1;2', { delimiter: ';', header: false }), [['a', 'b'], ['1', '2']]);
+
+    assert.equal(htmlToText('<ul><li>one</li><li>two</li></ul>'), '- one\n- two');
+});
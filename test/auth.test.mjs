@@ -0,0 +1,238 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import jwt from 'jsonwebtoken';
+import { hashPassword } from '../dist/index.js';
+import { startFramework, chat, callFunction, request, startServer, json } from './helpers.mjs';
+
+const ADMIN = 'test-admin-key';
+const UI = 'test-ui-key';
+const as = (key) => ({ headers: { 'X-API-Key': key } });
+
+const functions = {
+    whoami: { type: 'script', unsafeInProcess: true, description: 'Public', handler: async () => 'anyone' },
+    purge: { type: 'script', unsafeInProcess: true, description: 'Admins only', requiredPermissions: ['admin'], handler: async () => 'purged' }
+};
+
+const authConfig = (extra = {}) => ({
+    security: { allowScripts: true },
+    functions,
+    ...extra,
+    auth: { enabled: true, mode: 'required', apiKeys: { enabled: true, adminKey: ADMIN, uiKey: UI }, ...extra.auth }
+});
+
+test('routes require a key with the right permissions', async (t) => {
+    const { framework, url } = await startFramework(authConfig());
+    t.after(() => framework.stop());
+
+    assert.equal((await request(url, '/api/v1/functions')).status, 401);
+    assert.equal((await request(url, '/api/v1/functions', as('wrong'))).status, 401);
+    assert.equal((await request(url, '/api/v1/functions', as(UI))).status, 200);
+    // The built-in UI loads its settings with the UI key
+    assert.equal((await request(url, '/api/v1/config', as(UI))).status, 200);
+
+    const forbidden = await request(url, '/api/v1/auth/keys', as(UI));
+    assert.equal(forbidden.status, 403);
+    assert.deepEqual(forbidden.body.missing, ['admin']);
+    assert.equal((await request(url, '/api/v1/auth/keys', as(ADMIN))).status, 200);
+    assert.equal((await chat(url, 'hi')).status, 401);
+});
+
+test('functions with requiredPermissions are hidden from and refused to other callers', async (t) => {
+    const { framework, url } = await startFramework(authConfig());
+    t.after(() => framework.stop());
+
+    const listed = (await request(url, '/api/v1/functions', as(UI))).body.functions.map(func => func.name);
+    assert.ok(listed.includes('whoami'));
+    assert.ok(!listed.includes('purge'));
+
+    assert.deepEqual(await callFunction(url, 'purge', {}, as(UI)), { success: false, error: 'Not permitted to call purge', forbidden: true });
+    assert.deepEqual(await callFunction(url, 'purge', {}, as(ADMIN)), { success: true, result: 'purged' });
+});
+
+test('API keys can be created, rotated, expired and revoked', async (t) => {
+    const { framework, url } = await startFramework(authConfig());
+    t.after(() => framework.stop());
+    const admin = { ...as(ADMIN), method: 'POST' };
+
+    assert.equal((await request(url, '/api/v1/auth/keys', { ...admin, body: { name: 'Bad', role: 'nope' } })).status, 400);
+    assert.equal((await request(url, '/api/v1/auth/keys', { ...admin, body: { name: 'Old', role: 'ui', expiresAt: '2000-01-01' } })).status, 400);
+    assert.equal((await request(url, '/api/v1/auth/keys', { ...admin, body: { name: 'Tagged', role: 'ui', labels: { team: 1 } } })).status, 400);
+
+    const created = await request(url, '/api/v1/auth/keys', { ...admin, body: { name: 'Reporting', role: 'ui', labels: { team: 'billing' } } });
+    assert.equal(created.status, 201);
+    const { key, apiKey } = created.body;
+    assert.equal(apiKey.hash, undefined);
+    assert.equal(apiKey.hint, key.slice(-4));
+    assert.deepEqual(apiKey.labels, { team: 'billing' });
+    assert.equal((await request(url, '/api/v1/functions', as(key))).status, 200);
+
+    const listed = (await request(url, '/api/v1/auth/keys', as(ADMIN))).body.keys;
+    assert.deepEqual(listed.map(entry => entry.id).sort(), ['admin', apiKey.id, 'ui'].sort());
+    assert.ok(listed.every(entry => entry.hash === undefined));
+
+    const rotated = await request(url, `/api/v1/auth/keys/${apiKey.id}/rotate`, admin);
+    assert.equal(rotated.body.apiKey.id, apiKey.id);
+    assert.deepEqual(rotated.body.apiKey.labels, { team: 'billing' });
+    assert.match(rotated.body.key, /^cai_/);
+    assert.equal((await request(url, '/api/v1/functions', as(key))).status, 401);
+    assert.equal((await request(url, '/api/v1/functions', as(rotated.body.key))).status, 200);
+
+    assert.equal((await request(url, `/api/v1/auth/keys/${apiKey.id}`, { ...as(ADMIN), method: 'DELETE' })).status, 200);
+    assert.equal((await request(url, '/api/v1/functions', as(rotated.body.key))).status, 401);
+    assert.equal((await request(url, `/api/v1/auth/keys/${apiKey.id}`, { ...as(ADMIN), method: 'DELETE' })).status, 404);
+
+    const expiring = await request(url, '/api/v1/auth/keys', { ...admin, body: { name: 'Brief', role: 'ui', expiresAt: new Date(Date.now() + 200).toISOString() } });
+    assert.equal((await request(url, '/api/v1/functions', as(expiring.body.key))).status, 200);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal((await request(url, '/api/v1/functions', as(expiring.body.key))).status, 401);
+});
+
+test('each API key only sees its own conversations', async (t) => {
+    const { framework, url } = await startFramework(authConfig({ llm: { mockResponses: ['Hi there.'] } }));
+    t.after(() => framework.stop());
+    const create = async (name) => (await request(url, '/api/v1/auth/keys', { ...as(ADMIN), method: 'POST', body: { name, role: 'ui' } })).body.key;
+    const [first, second] = [await create('First'), await create('Second')];
+
+    const { events } = await chat(url, 'Hello', as(first));
+    const { conversationId } = events.find(event => event.type === 'conversation');
+    assert.equal((await request(url, `/api/v1/conversations/${conversationId}`, as(first))).status, 200);
+
+    assert.equal((await request(url, `/api/v1/conversations/${conversationId}`, as(second))).status, 404);
+    assert.equal((await chat(url, { message: 'Hello?', conversationId }, as(second))).status, 404);
+    assert.equal((await request(url, '/api/v1/conversations', as(second))).body.total, 0);
+    assert.equal((await request(url, '/api/v1/conversations', as(first))).body.total, 1);
+});
+
+test('local users log in, refresh their session once per refresh token and log out', async (t) => {
+    const passwordHash = await hashPassword('correct horse');
+    const { framework, url } = await startFramework(authConfig({ auth: { local: { users: [{ username: 'ada', passwordHash, role: 'user' }] } } }));
+    t.after(() => framework.stop());
+
+    assert.equal((await request(url, '/api/v1/auth/login', { method: 'POST', body: { username: 'ada', password: 'wrong' } })).status, 401);
+    const login = await request(url, '/api/v1/auth/login', { method: 'POST', body: { username: 'ada', password: 'correct horse' } });
+    assert.equal(login.status, 200);
+    const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+    assert.equal((await request(url, '/api/v1/auth/me', bearer(login.body.token))).status, 200);
+
+    const refreshed = await request(url, '/api/v1/auth/refresh', { method: 'POST', body: { refreshToken: login.body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+
+    assert.equal((await request(url, '/api/v1/auth/logout', { ...bearer(refreshed.body.token), method: 'POST' })).status, 200);
+    assert.equal((await request(url, '/api/v1/auth/me', bearer(refreshed.body.token))).status, 401);
+    assert.equal((await request(url, '/api/v1/auth/refresh', { method: 'POST', body: { refreshToken: refreshed.body.refreshToken } })).status, 401);
+});
+
+test('replaying an exchanged refresh token revokes the session, a forged one is only refused', async (t) => {
+    const passwordHash = await hashPassword('correct horse');
+    const { framework, url } = await startFramework(authConfig({ auth: { local: { users: [{ username: 'ada', passwordHash, role: 'user' }] } } }));
+    t.after(() => framework.stop());
+    const refresh = (refreshToken) => request(url, '/api/v1/auth/refresh', { method: 'POST', body: { refreshToken } });
+    const me = (token) => request(url, '/api/v1/auth/me', { headers: { Authorization: `Bearer ${token}` } });
+
+    const login = await request(url, '/api/v1/auth/login', { method: 'POST', body: { username: 'ada', password: 'correct horse' } });
+    const refreshed = await refresh(login.body.refreshToken);
+    const sessionId = login.body.refreshToken.split('.')[0];
+
+    assert.equal((await refresh(`${sessionId}.forged`)).status, 401);
+    assert.equal((await me(refreshed.body.token)).status, 200);
+
+    assert.equal((await refresh(login.body.refreshToken)).status, 401);
+    assert.equal((await me(refreshed.body.token)).status, 401);
+    assert.equal((await refresh(refreshed.body.refreshToken)).status, 401);
+});
+
+/** A minimal OpenID Connect issuer: discovery, JWKS and a token endpoint that checks PKCE. */
+async function startIssuer() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const codes = new Map();
+    const issuer = await startServer((req, res) => {
+        const path = new URL(req.url, issuer.url).pathname;
+        if (path === '/.well-known/openid-configuration') {
+            return json(res, 200, { issuer: issuer.url, authorization_endpoint: `${issuer.url}/authorize`, token_endpoint: `${issuer.url}/token`, jwks_uri: `${issuer.url}/jwks` });
+        }
+        if (path === '/jwks') return json(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', use: 'sig', alg: 'RS256' }] });
+        if (path === '/token') {
+            const form = new URLSearchParams(req.body);
+            const login = codes.get(form.get('code'));
+            const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+            if (!login || login.challenge !== challenge) return json(res, 400, { error: 'invalid_grant' });
+            codes.delete(form.get('code'));
+            const claims = { sub: 'grace', name: 'Grace', roles: ['admin'], nonce: login.nonce, ...login.claims };
+            return json(res, 200, { id_token: jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'test', issuer: issuer.url, audience: 'test-client', expiresIn: 60 }) });
+        }
+        json(res, 404, {});
+    });
+
+    /** Plays the browser at the issuer: approves the login behind `authorizationUrl` and returns the callback query. */
+    issuer.authorize = (authorizationUrl, claims = {}) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomUUID();
+        codes.set(code, { nonce: params.get('nonce'), challenge: params.get('code_challenge'), claims });
+        return `code=${code}&state=${params.get('state')}`;
+    };
+    return issuer;
+}
+
+test('OIDC logins are verified against the issuer and start a session', async (t) => {
+    const issuer = await startIssuer();
+    const { framework, url } = await startFramework(authConfig({
+        auth: { oidc: { issuer: issuer.url, clientId: 'test-client', redirectUri: 'http://127.0.0.1/api/v1/auth/oidc/callback', roleClaim: 'roles' } }
+    }));
+    t.after(() => Promise.all([framework.stop(), issuer.close()]));
+    const startLogin = async () => (await fetch(`${url}/api/v1/auth/oidc/login`, { redirect: 'manual' })).headers.get('location');
+
+    const authorizationUrl = await startLogin();
+    assert.ok(authorizationUrl.startsWith(`${issuer.url}/authorize?`));
+    const query = issuer.authorize(authorizationUrl);
+    const callback = await request(url, `/api/v1/auth/oidc/callback?${query}`);
+    assert.equal(callback.status, 200);
+    assert.deepEqual(callback.body.user, { id: 'oidc:grace', name: 'Grace', role: 'admin', provider: 'oidc' });
+
+    const me = await request(url, '/api/v1/auth/me', { headers: { Authorization: `Bearer ${callback.body.token}` } });
+    assert.equal(me.status, 200);
+    // The state is single-use
+    assert.equal((await request(url, `/api/v1/auth/oidc/callback?${query}`)).status, 401);
+
+    const wrongNonce = await request(url, `/api/v1/auth/oidc/callback?${issuer.authorize(await startLogin(), { nonce: 'other' })}`);
+    assert.equal(wrongNonce.status, 401);
+    assert.match(wrongNonce.body.error, /nonce/);
+});
+
+test('rateLimits.apiKey answers 429 with Retry-After once the bucket is empty', async (t) => {
+    const { framework, url } = await startFramework(authConfig({ rateLimits: { apiKey: { capacity: 2, refillPerSecond: 0.01 } } }));
+    t.after(() => framework.stop());
+
+    const first = await request(url, '/api/v1/functions', as(UI));
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal((await request(url, '/api/v1/functions', as(UI))).status, 200);
+
+    const limited = await request(url, '/api/v1/functions', as(UI));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Rate limit exceeded');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    // Each key has its own bucket
+    assert.equal((await request(url, '/api/v1/functions', as(ADMIN))).status, 200);
+});
+
+test('daily quotas and per-function limits are enforced', async (t) => {
+    const { framework, url } = await startFramework(authConfig({
+        rateLimits: { apiKey: { capacity: 10, refillPerSecond: 10, daily: 3 } },
+        functions: { ...functions, whoami: { ...functions.whoami, rateLimit: { capacity: 1, refillPerSecond: 0.01 } } }
+    }));
+    t.after(() => framework.stop());
+
+    assert.deepEqual(await callFunction(url, 'whoami', {}, as(UI)), { success: true, result: 'anyone' });
+    const events = [];
+    const limited = await callFunction(url, 'whoami', {}, { ...as(UI), onEvent: event => events.push(event) });
+    assert.equal(limited.rateLimited, true);
+    assert.deepEqual(events.find(event => event.type === 'rate_limited'), { type: 'rate_limited', scope: 'function', function: 'whoami', callId: events.find(event => event.type === 'function_call').callId, reason: 'rate', retryAfter: limited.retryAfter });
+
+    assert.equal((await request(url, '/api/v1/functions', as(UI))).status, 200);
+    const quota = await request(url, '/api/v1/functions', as(UI));
+    assert.equal(quota.status, 429);
+    assert.equal(quota.body.error, 'Daily quota exceeded');
+});
@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFramework, chat, callFunction, request, startServer, json } from './helpers.mjs';
+
+const slow = { content: 'one two three four five six seven eight nine ten', delayMs: 30 };
+
+const transfer = {
+    type: 'script',
+    unsafeInProcess: true,
+    requiresApproval: true,
+    description: 'Move money',
+    parameters: { type: 'object', properties: { amount: { type: 'number' } }, required: ['amount'] },
+    handler: async ({ amount }) => `moved ${amount}`
+};
+
+test('a chat can be cancelled by its request id', async (t) => {
+    const { framework, url } = await startFramework({ llm: { mockResponses: [slow] } });
+    t.after(() => framework.stop());
+
+    let requestId, cancelled;
+    const { events } = await chat(url, 'Count to ten', {
+        onEvent: async (event) => {
+            if (event.type === 'conversation') requestId = event.requestId;
+            if (event.type === 'token' && !cancelled) cancelled = await request(url, `/api/v1/chat/${requestId}/cancel`, { method: 'POST' });
+        }
+    });
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(cancelled.body, { requestId, cancelled: true });
+    assert.equal(events.at(-1).type, 'cancelled');
+    assert.ok(events.filter(event => event.type === 'token').length < 10);
+    assert.equal((await request(url, `/api/v1/chat/${requestId}/cancel`, { method: 'POST' })).status, 404);
+});
+
+test('a direct function call cancelled mid-run ends with cancelled', async (t) => {
+    const wait = {
+        type: 'script',
+        unsafeInProcess: true,
+        description: 'Takes a while',
+        handler: async () => {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            return 'finished';
+        }
+    };
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions: { wait } });
+    t.after(() => framework.stop());
+
+    let requestId;
+    const { events } = await chat(url, 'FUNCTION:wait:{}', {
+        onEvent: async (event) => {
+            if (event.type === 'conversation') requestId = event.requestId;
+            if (event.type === 'function_call') await request(url, `/api/v1/chat/${requestId}/cancel`, { method: 'POST' });
+        }
+    });
+    assert.equal(events.at(-1).type, 'cancelled');
+    assert.ok(!events.some(event => event.type === 'done' || event.type === 'error'));
+});
+
+test('a model that does not answer within llm.timeout ends the chat with a timeout event', async (t) => {
+    const { framework, url } = await startFramework({ llm: { timeout: 50, mockResponses: [{ content: 'late', delayMs: 500 }] } });
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Hello?');
+    assert.equal(events.at(-1).type, 'timeout');
+    assert.match(events.at(-1).message, /did not respond within 50ms/);
+});
+
+test('a response that outlasts llm.streamTimeout is cut off', async (t) => {
+    const { framework, url } = await startFramework({ llm: { timeout: 1000, streamTimeout: 100, mockResponses: [slow] } });
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Count to ten');
+    assert.ok(events.some(event => event.type === 'token'));
+    assert.equal(events.at(-1).type, 'timeout');
+    assert.match(events.at(-1).message, /longer than 100ms/);
+});
+
+test('openai backends use the openAILLM timeouts', async (t) => {
+    const server = await startServer(async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        json(res, 200, { choices: [{ message: { content: 'late' } }] });
+    });
+    const { framework, url } = await startFramework({
+        llm: { provider: 'openai', timeout: 10000 },
+        openAILLM: { endpoint: `${server.url}/v1/chat/completions`, model: 'gpt-test', timeout: 50 }
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    const { events } = await chat(url, 'Hello?');
+    assert.equal(events.at(-1).type, 'timeout');
+    assert.match(events.at(-1).message, /did not respond within 50ms/);
+});
+
+test('a model that rejects tools is retried without them and timed once', async (t) => {
+    const server = await startServer((req, res) => {
+        if (JSON.parse(req.body).tools) return json(res, 400, { error: 'tools are not supported by this model' });
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: 'plain answer' } }] })}\n\ndata: [DONE]\n\n`);
+    });
+    const { framework, url } = await startFramework({
+        llm: { provider: 'openai' },
+        openAILLM: { endpoint: `${server.url}/v1/chat/completions`, model: 'gpt-test' },
+        functions: { transfer }
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    const observations = async () => Number((await request(url, '/metrics')).body.match(/^corticalai_llm_response_time_seconds_count(?:\{[^}]*\})? (\d+)/m)[1]);
+    const before = await observations();
+    const { events } = await chat(url, 'Hello?');
+    assert.equal(events.filter(event => event.type === 'token').map(event => event.text).join(''), 'plain answer');
+    assert.equal(events.at(-1).type, 'done');
+    assert.equal(await observations(), before + 1);
+});
+
+test('functions that require approval run only once approved', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions: { transfer } });
+    t.after(() => framework.stop());
+
+    const decide = (approved) => async (event) => {
+        if (event.type === 'approval_required') {
+            const { status } = await request(url, `/api/v1/approvals/${event.approvalId}`, { method: 'POST', body: { approved } });
+            assert.equal(status, 200);
+        }
+    };
+
+    const approvedEvents = [];
+    const approved = await callFunction(url, 'transfer', { amount: 10 }, { onEvent: event => (approvedEvents.push(event), decide(true)(event)) });
+    assert.deepEqual(approved, { success: true, result: 'moved 10' });
+    const required = approvedEvents.find(event => event.type === 'approval_required');
+    assert.deepEqual(required.args, { amount: 10 });
+    assert.deepEqual(approvedEvents.find(event => event.type === 'approval_resolved'), { type: 'approval_resolved', approvalId: required.approvalId, function: 'transfer', approved: true, decision: 'approved' });
+
+    const denied = await callFunction(url, 'transfer', { amount: 10 }, { onEvent: decide(false) });
+    assert.deepEqual(denied, { success: false, error: 'Execution of transfer was not approved', approval: 'denied' });
+
+    assert.equal((await request(url, `/api/v1/approvals/${required.approvalId}`, { method: 'POST', body: { approved: true } })).status, 404);
+});
+
+test('unanswered approvals are denied after approvals.timeoutMs', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions: { transfer }, approvals: { timeoutMs: 50 } });
+    t.after(() => framework.stop());
+
+    const result = await callFunction(url, 'transfer', { amount: 10 });
+    assert.deepEqual(result, { success: false, error: 'Approval for transfer timed out', approval: 'timeout' });
+});
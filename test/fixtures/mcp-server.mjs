@@ -0,0 +1,55 @@
+// A stdio MCP server with a handful of tools, for the MCP client tests
+import fs from 'fs';
+import readline from 'readline';
+
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+const reply = (id, result) => send({ jsonrpc: '2.0', id, result });
+
+const tools = {
+    add: {
+        description: 'Add two numbers',
+        inputSchema: { $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+        call: (id, { a, b }) => reply(id, { content: [{ type: 'text', text: String(a + b) }], structuredContent: { sum: a + b } })
+    },
+    fail: {
+        inputSchema: { type: 'object' },
+        call: (id) => reply(id, { isError: true, content: [{ type: 'text', text: 'nope' }] })
+    },
+    slow: {
+        inputSchema: { type: 'object' },
+        call: (id, args, meta) => {
+            send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: meta?.progressToken, progress: 1, total: 2, message: 'half' } });
+            setTimeout(() => reply(id, { content: [{ type: 'text', text: 'done' }] }), 200);
+        }
+    },
+    crash: {
+        inputSchema: { type: 'object' },
+        call: () => process.exit(3)
+    },
+    // Stops reading without exiting, so the client's next write fails with EPIPE
+    deaf: {
+        inputSchema: { type: 'object' },
+        call: () => {
+            process.stdin.destroy();
+            fs.closeSync(0);
+            setInterval(() => { }, 1000);
+        }
+    }
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const message = JSON.parse(line);
+    switch (message.method) {
+        case 'initialize':
+            return reply(message.id, { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fixture', version: '1' } });
+        case 'tools/list': {
+            // Two pages, to exercise cursors
+            const entries = Object.entries(tools).map(([name, { description, inputSchema }]) => ({ name, description, inputSchema }));
+            return message.params?.cursor
+                ? reply(message.id, { tools: entries.slice(2) })
+                : reply(message.id, { tools: entries.slice(0, 2), nextCursor: 'page2' });
+        }
+        case 'tools/call':
+            return tools[message.params.name].call(message.id, message.params.arguments, message.params._meta);
+    }
+});
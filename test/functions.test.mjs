@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFramework, chat, callFunction, request } from './helpers.mjs';
+
+// Prints its arguments as JSON, one argv element per array entry
+const ECHO_ARGV = 'console.log(JSON.stringify(process.argv.slice(1)))';
+
+const functions = {
+    forecast: {
+        type: 'script',
+        unsafeInProcess: true,
+        description: 'Weather forecast',
+        parameters: {
+            type: 'object',
+            properties: { city: { type: 'string' }, days: { type: 'integer', minimum: 1, default: 1 } },
+            required: ['city']
+        },
+        handler: async (args) => args
+    },
+    echo: {
+        type: 'command',
+        executable: process.execPath,
+        args: ['-e', ECHO_ARGV, '{text}', '--count={count}'],
+        placeholders: {
+            text: { type: 'string' },
+            count: { type: 'integer', minimum: 1, maximum: 5, default: 2 }
+        },
+        description: 'Echo arguments'
+    },
+    grouped: {
+        type: 'command',
+        executable: process.execPath,
+        args: ['-e', ECHO_ARGV, '{text}', ['--limit', '{limit}']],
+        placeholders: {
+            text: { type: 'string' },
+            limit: { type: 'integer', optional: true }
+        },
+        description: 'Echo with an optional flag'
+    },
+    readPath: {
+        type: 'command',
+        executable: process.execPath,
+        args: ['-e', ECHO_ARGV, '{file}'],
+        placeholders: { file: { type: 'path' } },
+        description: 'Echo a path'
+    },
+    chatty: {
+        type: 'command',
+        executable: process.execPath,
+        args: ['-e', 'for (const line of ["one", "two", "three"]) console.log(line); console.error("warning")'],
+        description: 'Print several lines'
+    },
+    failing: {
+        type: 'command',
+        executable: process.execPath,
+        args: ['-e', 'console.log("partial"); process.exit(3)'],
+        description: 'Exit with code 3'
+    }
+};
+
+test('arguments are validated and coerced against the parameters schema', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    assert.deepEqual(await callFunction(url, 'forecast', { city: 'Paris', days: '3' }), { success: true, result: { city: 'Paris', days: 3 } });
+    assert.deepEqual(await callFunction(url, 'forecast', 'Lyon'), { success: true, result: { city: 'Lyon', days: 1 } });
+
+    const invalid = await callFunction(url, 'forecast', { days: 0 });
+    assert.equal(invalid.success, false);
+    assert.deepEqual(invalid.validationErrors.map(error => error.path).sort(), ['/', '/days']);
+    assert.deepEqual(invalid.parameters.required, ['city']);
+
+    const { body } = await request(url, '/api/v1/functions');
+    assert.deepEqual(body.functions.find(func => func.name === 'forecast').parameters.required, ['city']);
+});
+
+test('invalid parameter schemas are rejected when the function is registered', async () => {
+    await assert.rejects(startFramework({
+        functions: { broken: { type: 'script', unsafeInProcess: true, handler: async () => 1, parameters: { type: 'object', properties: { a: { type: 'nope' } } } } }
+    }), /Invalid parameters schema for broken/);
+});
+
+test('structured commands pass each value as a single argv element', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowCommands: true }, functions });
+    t.after(() => framework.stop());
+
+    const result = await callFunction(url, 'echo', { text: 'a b; rm -rf / $(id)' });
+    assert.equal(result.success, true);
+    assert.deepEqual(JSON.parse(result.stdout), ['a b; rm -rf / $(id)', '--count=2']);
+
+    const optionLike = await callFunction(url, 'echo', { text: '--inspect' });
+    assert.equal(optionLike.success, false);
+    assert.ok(optionLike.validationErrors);
+
+    assert.equal((await callFunction(url, 'readPath', { file: '../etc/passwd' })).success, false);
+    assert.equal((await callFunction(url, 'readPath', { file: '/etc/passwd' })).success, false);
+    assert.deepEqual(JSON.parse((await callFunction(url, 'readPath', { file: 'notes/today.txt' })).stdout), ['notes/today.txt']);
+
+    // A grouped flag is passed with its value or not at all
+    assert.deepEqual(JSON.parse((await callFunction(url, 'grouped', { text: 'hi', limit: 2 })).stdout), ['hi', '--limit', '2']);
+    assert.deepEqual(JSON.parse((await callFunction(url, 'grouped', { text: 'hi' })).stdout), ['hi']);
+
+    const failed = await callFunction(url, 'failing', {});
+    assert.equal(failed.success, false);
+    assert.equal(failed.exitCode, 3);
+    assert.equal(failed.stdout.trim(), 'partial');
+});
+
+test('command output is streamed line by line before the result', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowCommands: true }, functions });
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'FUNCTION:chatty:{}');
+    const resultIndex = events.findIndex(event => event.type === 'function_result');
+    const partials = events.filter(event => event.type === 'function_progress' && event.partial);
+    assert.ok(resultIndex > 0);
+    assert.ok(partials.every(event => events.indexOf(event) < resultIndex && event.function === 'chatty' && event.callId === events[resultIndex].callId));
+    assert.deepEqual(partials.filter(event => event.partial.stream === 'stdout').map(event => event.partial.line), ['one', 'two', 'three']);
+    assert.deepEqual(partials.filter(event => event.partial.stream === 'stderr').map(event => event.partial.line), ['warning']);
+    assert.equal(events[resultIndex].data.stdout, 'one\ntwo\nthree\n');
+});
+
+test('commands do not run unless security.allowCommands is set', async (t) => {
+    const { framework, url } = await startFramework({ functions });
+    t.after(() => framework.stop());
+
+    const result = await callFunction(url, 'echo', { text: 'hi' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /disabled/);
+});
+
+test('shell command strings must opt in with unsafeShell', async () => {
+    await assert.rejects(startFramework({
+        functions: { disk: { type: 'command', command: 'du -sh .', description: 'Disk usage' } }
+    }), /unsafeShell/);
+});
@@ -0,0 +1,99 @@
+import http from 'http';
+import fetch from 'node-fetch';
+import { LLMFramework } from '../dist/index.js';
+
+// The framework logs every registration and request; set TEST_LOGS=1 to see it
+if (!process.env.TEST_LOGS) console.log = console.info = console.warn = () => { };
+
+/**
+ * Starts a framework on a free local port. The model is a mock provider unless `llm` says
+ * otherwise; `llm.mockResponses` scripts its answers.
+ */
+export async function startFramework(config = {}) {
+    const framework = new LLMFramework({
+        systemPrompt: 'You are a test assistant.',
+        ...config,
+        server: { port: 0, ip: '127.0.0.1', ...config.server },
+        llm: { provider: 'mock', ...config.llm }
+    });
+    await framework.start();
+    return { framework, url: `http://127.0.0.1:${framework.httpServer.address().port}` };
+}
+
+/**
+ * Sends a chat message and collects the streamed events. `onEvent` sees each event as it
+ * arrives, so a test can react mid-stream (approve a call, cancel the chat).
+ */
+export async function chat(url, body, { headers = {}, onEvent = () => { } } = {}) {
+    const response = await fetch(`${url}/api/v1/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(typeof body === 'string' ? { message: body } : body)
+    });
+    if (!response.ok) return { status: response.status, events: [], error: await response.json() };
+
+    const events = [];
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += chunk.toString();
+        const parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        for (const part of parts.filter(part => part.startsWith('data: '))) {
+            const event = JSON.parse(part.slice(6));
+            events.push(event);
+            await onEvent(event);
+        }
+    }
+    return { status: response.status, events };
+}
+
+/** Calls a function the way a user typing `FUNCTION:name:args` does, and returns its result. */
+export async function callFunction(url, name, args, options) {
+    const { events } = await chat(url, `FUNCTION:${name}:${typeof args === 'string' ? args : JSON.stringify(args)}`, options);
+    const result = events.find(event => event.type === 'function_result');
+    if (!result) throw new Error(`No function_result for ${name}: ${JSON.stringify(events)}`);
+    return result.data;
+}
+
+export async function request(url, path, { method = 'GET', body, headers = {} } = {}) {
+    const response = await fetch(`${url}${path}`, {
+        method,
+        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+        ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : undefined;
+    } catch {
+        data = text;
+    }
+    return { status: response.status, headers: response.headers, body: data };
+}
+
+/** A throwaway HTTP server standing in for an external API; `handler` gets the request with its body read. */
+export async function startServer(handler) {
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        req.body = body;
+        try {
+            await handler(req, res);
+        } catch (error) {
+            res.writeHead(500).end(error.message);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+export function json(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
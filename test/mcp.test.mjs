@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFramework, callFunction, request } from './helpers.mjs';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mcp-server.mjs');
+const fixture = (options = {}) => ({ type: 'mcp', command: process.execPath, args: [FIXTURE], ...options });
+
+test('tools from a stdio MCP server are registered as functions', async (t) => {
+    const { framework, url } = await startFramework({ functions: { calc: fixture({ prefix: 'calc_', tools: ['add', 'fail', 'slow'] }) } });
+    t.after(() => framework.stop());
+
+    const { body } = await request(url, '/api/v1/functions');
+    const add = body.functions.find(func => func.name === 'calc_add');
+    assert.deepEqual(body.functions.filter(func => func.type === 'mcp').map(func => func.name).sort(), ['calc_add', 'calc_fail', 'calc_slow']);
+    assert.deepEqual(add.origin, { source: 'mcp', server: 'calc', tool: 'add' });
+    assert.equal(add.type, 'mcp');
+    assert.equal(add.parameters.$schema, undefined);
+
+    assert.deepEqual(await callFunction(url, 'calc_add', { a: 2, b: 3 }), { success: true, content: '5', data: { sum: 5 } });
+    assert.equal((await callFunction(url, 'calc_add', { a: 2 })).validationErrors.length, 1);
+    assert.deepEqual(await callFunction(url, 'calc_fail', {}), { success: false, error: 'nope' });
+
+    const events = [];
+    assert.deepEqual(await callFunction(url, 'calc_slow', {}, { onEvent: event => events.push(event) }), { success: true, content: 'done' });
+    assert.ok(events.some(event => event.type === 'function_progress' && event.message === 'half' && event.percent === 50));
+});
+
+test('calls in flight fail when the server exits, and the client reconnects', async (t) => {
+    const { framework, url } = await startFramework({ functions: { calc: fixture() } });
+    t.after(() => framework.stop());
+
+    const crashed = await callFunction(url, 'crash', {});
+    assert.equal(crashed.success, false);
+    assert.deepEqual(await callFunction(url, 'add', { a: 1, b: 1 }), { success: true, content: '2', data: { sum: 2 } });
+});
+
+test('a server that stops reading fails the call without crashing the host', async (t) => {
+    const { framework, url } = await startFramework({ functions: { calc: fixture({ timeout: 200 }) } });
+    t.after(() => framework.stop());
+
+    // The timed-out call's cancellation is written to the closed pipe
+    const deaf = await callFunction(url, 'deaf', {});
+    assert.equal(deaf.success, false);
+    assert.deepEqual(await callFunction(url, 'add', { a: 1, b: 1 }), { success: true, content: '2', data: { sum: 2 } });
+});
+
+test('a server that cannot start is skipped', async (t) => {
+    const { framework, url } = await startFramework({ functions: { missing: { type: 'mcp', command: '/nonexistent/mcp-server' }, calc: fixture({ tools: ['add'] }) } });
+    t.after(() => framework.stop());
+
+    assert.deepEqual((await request(url, '/api/v1/functions')).body.functions.filter(func => func.type === 'mcp').map(func => func.name), ['add']);
+});
+
+test('registered functions are served over streamable HTTP and can be mounted by another framework', async (t) => {
+    const greet = {
+        type: 'script',
+        unsafeInProcess: true,
+        description: 'Greet someone',
+        parameters: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] },
+        handler: async ({ name }, { progress }) => {
+            progress('thinking', 50);
+            return `Hello, ${name}!`;
+        }
+    };
+    const hidden = { ...greet, requiresApproval: true, description: 'Needs approval' };
+    const server = await startFramework({ security: { allowScripts: true }, mcpServer: { enabled: true }, functions: { greet, hidden } });
+    t.after(() => server.framework.stop());
+
+    const init = await request(server.url, '/api/v1/mcp', { method: 'POST', body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } } } });
+    const sessionId = init.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+    const list = await request(server.url, '/api/v1/mcp', { method: 'POST', headers: { 'Mcp-Session-Id': sessionId }, body: { jsonrpc: '2.0', id: 2, method: 'tools/list' } });
+    assert.deepEqual(list.body.result.tools.map(tool => tool.name), ['greet']);
+    assert.equal((await request(server.url, '/api/v1/mcp', { method: 'POST', body: { jsonrpc: '2.0', id: 3, method: 'tools/list' } })).status, 404);
+    assert.equal((await request(server.url, '/api/v1/mcp', { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } })).status, 204);
+
+    const client = await startFramework({ functions: { remote: { type: 'mcp', url: `${server.url}/api/v1/mcp`, prefix: 'remote_' } } });
+    t.after(() => client.framework.stop());
+
+    const events = [];
+    const result = await callFunction(client.url, 'remote_greet', { name: 'Ada' }, { onEvent: event => events.push(event) });
+    assert.equal(result.success, true);
+    assert.deepEqual(JSON.parse(result.content), { success: true, result: 'Hello, Ada!' });
+    assert.ok(events.some(event => event.type === 'function_progress' && event.message === 'thinking'));
+});
+
+test('the MCP endpoint is off unless mcpServer.enabled is set', async (t) => {
+    const { framework, url } = await startFramework();
+    t.after(() => framework.stop());
+
+    assert.equal((await request(url, '/api/v1/mcp', { method: 'POST', body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} } })).status, 404);
+});
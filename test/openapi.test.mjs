@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { functions } from '../dist/index.js';
+import { startFramework, callFunction, startServer, json } from './helpers.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corticalai-openapi-'));
+
+function writeSpec(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+const INVENTORY = writeSpec('inventory.yaml', `
+openapi: 3.0.3
+info: { title: Inventory, version: '1' }
+servers:
+  - url: https://{region}.inventory.example/api
+    variables:
+      region: { default: eu }
+paths:
+  /items:
+    get:
+      operationId: listItems
+      summary: List items
+      parameters:
+        - { name: tag, in: query, schema: { type: array, items: { type: string } } }
+        - { name: limit, in: query, schema: { type: integer, default: 10 } }
+    post:
+      summary: Create an item
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/NewItem' }
+  /items/{id}:
+    parameters:
+      - { name: id, in: path, schema: { type: string } }
+    get:
+      operationId: getItem
+      summary: Fetch one item
+components:
+  schemas:
+    NewItem:
+      type: object
+      required: [name]
+      properties:
+        name: { type: string }
+        note: { type: string, nullable: true }
+        parent: { $ref: '#/components/schemas/NewItem' }
+`);
+
+test('operations become api functions with JSON Schema parameters', () => {
+    const imported = functions.fromOpenAPI({ spec: INVENTORY, prefix: 'inv_' });
+    assert.deepEqual(Object.keys(imported).sort(), ['inv_getItem', 'inv_listItems', 'inv_post_items']);
+
+    const { getItem, listItems, post_items: create } = functions.fromOpenAPI({ spec: INVENTORY });
+    assert.equal(getItem.description, 'Fetch one item');
+    assert.deepEqual(getItem.parameters, { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] });
+    assert.equal(getItem.endpoint({ id: 'a/b' }), 'https://eu.inventory.example/api/items/a%2Fb');
+    assert.throws(() => getItem.endpoint({ id: '..' }), /Path parameter "id" cannot be "\.\."/);
+    assert.throws(() => getItem.endpoint({ id: '.' }), /cannot be "\."/);
+    assert.equal(getItem.endpoint({ id: '...' }), 'https://eu.inventory.example/api/items/...');
+    assert.equal(listItems.endpoint({ tag: ['x', 'y'], limit: 5 }), 'https://eu.inventory.example/api/items?tag=x&tag=y&limit=5');
+
+    assert.equal(create.method, 'POST');
+    assert.equal(create.bodyType, 'json');
+    assert.deepEqual(create.parameters.required, ['body']);
+    assert.deepEqual(create.parameters.properties.body, {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' }, note: { type: ['string', 'null'] }, parent: {} }
+    });
+});
+
+test('imported functions call the API with validated arguments', async (t) => {
+    const requests = [];
+    const server = await startServer((req, res) => {
+        requests.push({ method: req.method, url: req.url, body: req.body, authorization: req.headers.authorization });
+        json(res, 200, { ok: true });
+    });
+    const { framework, url } = await startFramework({
+        functions: functions.fromOpenAPI({
+            spec: INVENTORY,
+            operations: ['listItems', 'POST /items'],
+            baseUrl: `${server.url}/api/`,
+            auth: { type: 'bearer', token: 'inv' },
+            functionOptions: { timeout: 2000 }
+        })
+    });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    assert.deepEqual(await callFunction(url, 'listItems', { tag: ['x'] }), { ok: true });
+    assert.deepEqual(await callFunction(url, 'post_items', { body: { name: 'Widget' } }), { ok: true });
+    assert.equal((await callFunction(url, 'post_items', { body: { note: 'no name' } })).success, false);
+
+    assert.deepEqual(requests, [
+        { method: 'GET', url: '/api/items?tag=x&limit=10', body: '', authorization: 'Bearer inv' },
+        { method: 'POST', url: '/api/items', body: '{"name":"Widget"}', authorization: 'Bearer inv' }
+    ]);
+});
+
+test('unusable documents and selections are reported', () => {
+    assert.throws(() => functions.fromOpenAPI({ spec: INVENTORY, operations: ['deleteItem'] }), /not found in .*: deleteItem/);
+    assert.throws(() => functions.fromOpenAPI({ spec: writeSpec('swagger.json', '{"swagger":"2.0"}') }), /is not an OpenAPI 3 document/);
+    assert.throws(() => functions.fromOpenAPI({ spec: writeSpec('broken.yaml', 'openapi: [') }), /Cannot parse OpenAPI document/);
+    assert.throws(() => functions.fromOpenAPI({ spec: writeSpec('noserver.json', '{"openapi":"3.1.0","paths":{}}') }), /no absolute server URL/);
+
+    const collision = writeSpec('collision.json', JSON.stringify({
+        openapi: '3.0.3',
+        servers: [{ url: 'https://api.example' }],
+        paths: {
+            '/notes': {
+                post: {
+                    parameters: [{ name: 'body', in: 'query', schema: { type: 'string' } }],
+                    requestBody: { content: { 'application/json': { schema: { type: 'object' } } } }
+                }
+            }
+        }
+    }));
+    assert.throws(() => functions.fromOpenAPI({ spec: collision }), /POST \/notes: parameter "body" collides with the request body/);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider, FailoverProvider } from '../dist/index.js';
+import { LLMAPIError } from '../dist/providers.js';
+import { startFramework, chat, request } from './helpers.mjs';
+
+/** A mock backend that throws `error` for the first `failures` requests, then answers `content`. */
+function flaky(failures, content = 'ok', error = () => new Error('connection refused')) {
+    return new MockProvider((_request, index) => {
+        if (index < failures) throw error();
+        return content;
+    }, { model: content });
+}
+
+const noBackoff = { attempts: 1, backoffMs: 0, maxBackoffMs: 0 };
+
+test('failover retries a backend, then falls back to the next one', async () => {
+    const primary = flaky(Infinity);
+    const secondary = flaky(0, 'from secondary');
+    const provider = new FailoverProvider([
+        { name: 'primary', provider: primary, retry: { attempts: 2, backoffMs: 1 } },
+        { name: 'secondary', provider: secondary }
+    ]);
+
+    const fallbacks = [];
+    const result = await provider.stream({ prompt: 'hi' }, () => { }, { onFallback: event => fallbacks.push(event) });
+    assert.equal(result.content, 'from secondary');
+    assert.equal(primary.requests.length, 2);
+    assert.deepEqual(fallbacks, [{ backend: 'secondary', model: 'from secondary', reason: 'connection refused' }]);
+});
+
+test('the circuit opens after repeated failures and lets a probe through after the reset timeout', async () => {
+    const primary = flaky(2, 'from primary');
+    const provider = new FailoverProvider([
+        { name: 'primary', provider: primary, retry: noBackoff, circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 } },
+        { name: 'secondary', provider: flaky(0, 'from secondary') }
+    ]);
+
+    await provider.generate('one');
+    assert.equal(provider.getStatus().backends[0].circuit, 'closed');
+    await provider.generate('two');
+    assert.equal(provider.getStatus().backends[0].circuit, 'open');
+    assert.equal(provider.getStatus().active, 'secondary');
+
+    assert.equal(await provider.generate('three'), 'from secondary');
+    assert.equal(primary.requests.length, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(provider.getStatus().backends[0].circuit, 'half-open');
+    assert.equal(await provider.generate('four'), 'from primary');
+    assert.deepEqual(provider.getStatus().backends[0], { name: 'primary', provider: 'mock', model: 'from primary', circuit: 'closed', failures: 0, lastError: 'connection refused' });
+});
+
+test('a half-open circuit lets one probe through while concurrent requests fail over', async () => {
+    const primary = new MockProvider((_request, index) => {
+        if (index === 0) throw new Error('connection refused');
+        return { content: 'from primary', delayMs: 20 };
+    }, { model: 'primary' });
+    const secondary = flaky(0, 'from secondary');
+    const provider = new FailoverProvider([
+        { name: 'primary', provider: primary, retry: noBackoff, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 20 } },
+        { name: 'secondary', provider: secondary }
+    ]);
+
+    await provider.generate('open the circuit');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const answers = await Promise.all([1, 2, 3].map(i => provider.generate(`request ${i}`)));
+    assert.deepEqual(answers, ['from primary', 'from secondary', 'from secondary']);
+    assert.equal(primary.requests.length, 2);
+    assert.equal(provider.getStatus().backends[0].circuit, 'closed');
+});
+
+test('client errors are thrown without retrying or failing over', async () => {
+    const primary = flaky(Infinity, 'never', () => new LLMAPIError(400, 'bad request'));
+    const secondary = flaky(0);
+    const provider = new FailoverProvider([{ name: 'primary', provider: primary }, { name: 'secondary', provider: secondary }]);
+
+    await assert.rejects(provider.generate('hi'), /LLM API error: 400/);
+    assert.equal(primary.requests.length, 1);
+    assert.equal(secondary.requests.length, 0);
+});
+
+test('a failure after tokens were streamed is not retried elsewhere', async () => {
+    const primary = new MockProvider(() => ({ content: 'partial answer', delayMs: 1 }));
+    const original = primary.stream.bind(primary);
+    primary.stream = async (request, onToken, options) => {
+        await original(request, onToken, options);
+        throw new Error('stream dropped');
+    };
+    const secondary = flaky(0);
+    const provider = new FailoverProvider([{ name: 'primary', provider: primary, retry: noBackoff }, { name: 'secondary', provider: secondary }]);
+
+    await assert.rejects(provider.stream({ prompt: 'hi' }, () => { }), /stream dropped/);
+    assert.equal(secondary.requests.length, 0);
+});
+
+test('llm.backends reports fallbacks to the client and circuit state on /api/v1/health', async (t) => {
+    const { framework, url } = await startFramework({
+        llm: {
+            backends: [
+                { name: 'primary', provider: flaky(Infinity), retry: noBackoff, circuitBreaker: { failureThreshold: 1 } },
+                { name: 'secondary', provider: 'mock', mockResponses: ['Hello from the fallback.'] }
+            ]
+        }
+    });
+    t.after(() => framework.stop());
+
+    const { events } = await chat(url, 'Hello');
+    assert.ok(events.some(event => event.type === 'status' && event.failover && event.backend === 'secondary'));
+    assert.equal(events.filter(event => event.type === 'token').map(event => event.text).join(''), 'Hello from the fallback.');
+
+    const { body } = await request(url, '/api/v1/health');
+    assert.equal(body.llm.active, 'secondary');
+    assert.equal(body.llm.backends[0].circuit, 'open');
+});
@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFramework, callFunction, startServer, json } from './helpers.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'corticalai-sandbox-'));
+fs.mkdirSync(path.join(root, 'reports'));
+fs.writeFileSync(path.join(root, 'reports', 'q1.txt'), 'revenue: 42');
+fs.writeFileSync(path.join(root, 'secret.txt'), 'hunter2');
+fs.symlinkSync(path.join(root, 'secret.txt'), path.join(root, 'reports', 'link.txt'));
+
+const functions = {
+    stats: {
+        type: 'script',
+        description: 'Sum numbers',
+        handler: async function (input, { progress }) {
+            const numbers = input.split(',').map(Number);
+            console.log('summing', numbers.length);
+            progress('halfway', 50);
+            return numbers.reduce((a, b) => a + b, 0);
+        }
+    },
+    probe: {
+        type: 'script',
+        description: 'Report which host globals are reachable',
+        handler: async function () {
+            return ['process', 'require', 'module', 'fs', 'fetch'].filter(name => typeof globalThis[name] !== 'undefined');
+        }
+    },
+    evil: {
+        type: 'script',
+        description: 'Tries to build code from a string',
+        handler: async function () {
+            return eval('1 + 1');
+        }
+    },
+    escape: {
+        type: 'script',
+        capabilities: ['fs.read'],
+        fsRoot: path.join(root, 'reports'),
+        description: 'Tries to reach the host Function through every sandbox global',
+        handler: async function () {
+            const hostFunction = (value) => value.constructor.constructor('return process')();
+            const attempts = {
+                console: () => console.log.constructor('return process')(),
+                timer: () => setTimeout.constructor('return process')(),
+                global: () => hostFunction(globalThis),
+                context: () => hostFunction(this),
+                args: () => hostFunction(arguments),
+                urlError: () => {
+                    try {
+                        new URL('not a url');
+                    } catch (error) {
+                        return hostFunction(error);
+                    }
+                },
+                fsError: () => fs.readFile('missing.txt').catch(hostFunction),
+                import: () => import('fs').catch(hostFunction)
+            };
+            const escaped = [];
+            for (const [name, attempt] of Object.entries(attempts)) {
+                try {
+                    if (await attempt()) escaped.push(name);
+                } catch { }
+            }
+            return escaped;
+        }
+    },
+    webApis: {
+        type: 'script',
+        capabilities: ['fetch'],
+        description: 'Uses the web APIs the sandbox provides',
+        handler: async function (base) {
+            const url = new URL('/items?page=1', base);
+            url.searchParams.set('q', 'a b');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const response = await fetch(url, { method: 'POST', headers: { 'X-Test': 'yes' }, body: 'héllo' });
+            return {
+                href: url.href,
+                status: response.status,
+                type: response.headers.get('content-type'),
+                body: await response.json(),
+                bytes: Array.from(new TextEncoder().encode('é')),
+                text: new TextDecoder().decode(new Uint8Array([104, 195, 169])),
+                base64: btoa('hi'),
+                decoded: atob('aGk=')
+            };
+        }
+    },
+    spin: {
+        type: 'script',
+        timeout: 200,
+        description: 'Never returns',
+        handler: async function () {
+            while (true) { }
+        }
+    },
+    report: {
+        type: 'script',
+        capabilities: ['fs.read'],
+        fsRoot: path.join(root, 'reports'),
+        description: 'Read a report',
+        handler: async function (file) {
+            return fs.readFile(file);
+        }
+    }
+};
+
+test('script functions run in a worker and return their console output', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    const events = [];
+    const result = await callFunction(url, 'stats', '1,2,3', { onEvent: event => events.push(event) });
+    assert.deepEqual(result, { success: true, result: 6, console: [{ level: 'log', text: 'summing 3' }] });
+    assert.ok(events.some(event => event.type === 'function_progress' && event.message === 'halfway' && event.percent === 50));
+});
+
+test('scripts see no host globals and cannot generate code from strings', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    assert.deepEqual((await callFunction(url, 'probe', {})).result, []);
+    const evil = await callFunction(url, 'evil', {});
+    assert.equal(evil.success, false);
+    assert.match(evil.error, /Code generation from strings disallowed/);
+});
+
+test('nothing in the sandbox leads back to the host realm', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    assert.deepEqual(await callFunction(url, 'escape', {}), { success: true, result: [], console: [] });
+});
+
+test('scripts get URL, timers, text encoding, base64 and a granted fetch', async (t) => {
+    const server = await startServer((req, res) => json(res, 200, { method: req.method, path: req.url, header: req.headers['x-test'], body: req.body }));
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => Promise.all([framework.stop(), server.close()]));
+
+    const { result } = await callFunction(url, 'webApis', server.url);
+    assert.deepEqual(result, {
+        href: `${server.url}/items?page=1&q=a+b`,
+        status: 200,
+        type: 'application/json',
+        body: { method: 'POST', path: '/items?page=1&q=a+b', header: 'yes', body: 'héllo' },
+        bytes: [195, 169],
+        text: 'hé',
+        base64: 'aGk=',
+        decoded: 'hi'
+    });
+});
+
+test('a script that runs past its timeout is stopped', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    const started = Date.now();
+    assert.deepEqual(await callFunction(url, 'spin', {}), { success: false, error: 'Script timed out after 200ms', console: [] });
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('fs.read is confined to fsRoot, symlinks included', async (t) => {
+    const { framework, url } = await startFramework({ security: { allowScripts: true }, functions });
+    t.after(() => framework.stop());
+
+    assert.equal((await callFunction(url, 'report', 'q1.txt')).result, 'revenue: 42');
+    for (const file of ['../secret.txt', path.join(root, 'secret.txt'), 'link.txt']) {
+        const result = await callFunction(url, 'report', file);
+        assert.equal(result.success, false, file);
+        assert.match(result.error, /outside the readable directory/);
+    }
+});
+
+test('script functions need security.allowScripts', async (t) => {
+    const { framework, url } = await startFramework({ functions });
+    t.after(() => framework.stop());
+
+    const result = await callFunction(url, 'stats', '1,2');
+    assert.equal(result.success, false);
+    assert.match(result.error, /disabled/);
+});
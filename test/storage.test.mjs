@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { MemoryStorage, JsonFileStorage, SqliteStorage } from '../dist/index.js';
+import { startFramework, chat, request } from './helpers.mjs';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'corticalai-storage-'));
+
+const adapters = {
+    memory: () => ({ open: () => new MemoryStorage(), persistent: false }),
+    json: () => {
+        const file = path.join(tempDir(), 'store.json');
+        return { open: () => new JsonFileStorage(file), persistent: true };
+    },
+    sqlite: () => {
+        const file = path.join(tempDir(), 'store.db');
+        return { open: () => new SqliteStorage(file), persistent: true };
+    }
+};
+
+for (const [type, setup] of Object.entries(adapters)) {
+    test(`${type} storage round-trips values, dates and namespaces`, async () => {
+        const { open, persistent } = setup();
+        const storage = open();
+        await storage.init();
+
+        const created = new Date('2025-03-01T12:00:00.000Z');
+        await storage.set('conversations', 'c1', { id: 'c1', created, turns: [{ role: 'user', content: 'hi' }] });
+        await storage.set('conversations', 'c2', { id: 'c2', created, turns: [{ role: 'user', content: '2025-03-01T12:00:00.000Z' }], meta: { due: '2025-04-01T00:00:00Z' } });
+        await storage.set('apiKeys', 'c1', { other: true });
+
+        const stored = await storage.get('conversations', 'c1');
+        assert.ok(stored.created instanceof Date);
+        assert.equal(stored.created.getTime(), created.getTime());
+        assert.deepEqual(stored.turns, [{ role: 'user', content: 'hi' }]);
+        assert.deepEqual((await storage.entries('conversations')).map(([key]) => key).sort(), ['c1', 'c2']);
+        assert.deepEqual(await storage.get('apiKeys', 'c1'), { other: true });
+
+        // Only known date fields are revived; date-like text elsewhere stays a string
+        const dateLike = await storage.get('conversations', 'c2');
+        assert.equal(dateLike.turns[0].content, '2025-03-01T12:00:00.000Z');
+        assert.equal(dateLike.meta.due, '2025-04-01T00:00:00Z');
+
+        assert.equal(await storage.delete('conversations', 'c2'), true);
+        assert.equal(await storage.delete('conversations', 'c2'), false);
+        assert.equal(await storage.get('conversations', 'missing'), undefined);
+        await storage.close();
+
+        if (!persistent) return;
+        const reopened = open();
+        await reopened.init();
+        assert.deepEqual((await reopened.entries('conversations')).map(([key]) => key), ['c1']);
+        assert.equal((await reopened.get('conversations', 'c1')).created.getTime(), created.getTime());
+        await reopened.close();
+    });
+}
+
+test('sqlite storage records its schema migrations once', async () => {
+    const file = path.join(tempDir(), 'store.db');
+    for (let run = 0; run < 2; run++) {
+        const storage = new SqliteStorage(file);
+        await storage.init();
+        await storage.close();
+    }
+
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    const db = new Database(file, { readonly: true });
+    assert.deepEqual(db.prepare('SELECT version FROM schema_migrations').all(), [{ version: 1 }]);
+    db.close();
+});
+
+test('conversations survive a restart with file storage', async (t) => {
+    const storage = { type: 'json', path: path.join(tempDir(), 'corticalai.json') };
+
+    const first = await startFramework({ storage, llm: { mockResponses: ['Hello!'] } });
+    const { events } = await chat(first.url, 'Remember me');
+    const { conversationId } = events.find(event => event.type === 'conversation');
+    await first.framework.stop();
+
+    const second = await startFramework({ storage });
+    t.after(() => second.framework.stop());
+    const { body } = await request(second.url, `/api/v1/conversations/${conversationId}`);
+    assert.deepEqual(body.conversation.turns.map(turn => turn.content), ['Remember me', 'Hello!']);
+});
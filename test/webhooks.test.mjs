@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { startFramework, callFunction, startServer, json, request } from './helpers.mjs';
+
+const SECRET = 'webhook-secret';
+
+test('webhook requests are signed with an HMAC of timestamp and body', async (t) => {
+    let received;
+    const hook = await startServer((req, res) => {
+        received = req;
+        json(res, 200, { queued: true });
+    });
+    const { framework, url } = await startFramework({
+        functions: { report: { type: 'webhook', url: `${hook.url}/report`, secret: SECRET, headers: { 'X-Team': 'finance' }, description: 'Report' } }
+    });
+    t.after(() => Promise.all([framework.stop(), hook.close()]));
+
+    assert.deepEqual(await callFunction(url, 'report', 'EMEA'), { success: true, webhook: 'report', result: { queued: true } });
+
+    const payload = JSON.parse(received.body);
+    assert.deepEqual({ ...payload, timestamp: undefined }, { source: 'cortical-ai', function: 'report', timestamp: undefined, data: 'EMEA' });
+    assert.equal(received.headers['x-team'], 'finance');
+    const timestamp = received.headers['x-corticalai-timestamp'];
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${received.body}`).digest('hex');
+    assert.equal(received.headers['x-corticalai-signature'], `sha256=${expected}`);
+});
+
+test('async webhooks wait for the workflow to post its result to the callback URL', async (t) => {
+    let callbackPath;
+    let frameworkUrl;
+    const hook = await startServer((req, res) => {
+        const { callbackUrl } = JSON.parse(req.body);
+        assert.equal(req.headers['x-corticalai-callback-url'], callbackUrl);
+        callbackPath = new URL(callbackUrl).pathname;
+        json(res, 202, { accepted: true });
+        // The workflow answers later, on its own connection
+        setTimeout(async () => {
+            await fetch(`${frameworkUrl}${callbackPath}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ total: 42 }) });
+        }, 50);
+    });
+    const { framework, url } = await startFramework({
+        functions: { report: { type: 'webhook', url: hook.url, async: true, description: 'Report' } }
+    });
+    frameworkUrl = url;
+    t.after(() => Promise.all([framework.stop(), hook.close()]));
+
+    const events = [];
+    assert.deepEqual(await callFunction(url, 'report', 'EMEA', { onEvent: event => events.push(event) }), { success: true, webhook: 'report', result: { total: 42 } });
+    assert.ok(events.some(event => event.type === 'function_progress' && /Waiting for report/.test(event.message)));
+
+    // Callback URLs work once
+    assert.equal((await request(url, callbackPath, { method: 'POST', body: { total: 0 } })).status, 404);
+    assert.equal((await request(url, '/api/v1/webhooks/callback/unknown', { method: 'POST', body: {} })).status, 404);
+});
+
+test('async webhooks fail once callbackTimeout passes', async (t) => {
+    const hook = await startServer((req, res) => json(res, 202, {}));
+    const { framework, url } = await startFramework({
+        functions: { report: { type: 'webhook', url: hook.url, async: true, callbackTimeout: 100, description: 'Report' } }
+    });
+    t.after(() => Promise.all([framework.stop(), hook.close()]));
+
+    const result = await callFunction(url, 'report', 'EMEA');
+    assert.equal(result.success, false);
+    assert.match(result.error, /100ms/);
+});